@@ -1,5 +1,14 @@
 // Ustawienia aplikacji
 window.CONFIG = {
   MAPBOX_TOKEN: '', // <- w example zostaw puste
-  GEOJSON_URL: "./assets/geo/converted_map.geojson"
+  GEOJSON_URL: "./assets/geo/converted_map.geojson",
+  TRAILS_URL: "./assets/geo/trails.geojson", // zbiór szlaków wczytywany przez datasetLoader
+  DATASET_VERSION: "", // opcjonalnie, np. "20251001" – doklejane jako ?v= do TRAILS_URL
+  // opcjonalnie: kilka regionów z selektorem w nagłówku panelu (pierwszy = domyślny)
+  // DATASETS: [
+  //   { id: 'walbrzych', name: 'Wałbrzych', url: './assets/geo/trails.geojson', overlayUrl: './assets/geo/converted_map.geojson' },
+  //   { id: 'gory-sowie', name: 'Góry Sowie', url: './assets/geo/gory-sowie.geojson',
+  //     overlayUrl: './assets/geo/gory-sowie-poi.geojson', overlayPoints: { cluster: false, color: '#FF5252' } },
+  //   { id: 'karkonosze', name: 'Karkonosze', url: './assets/geo/karkonosze.geojson' }
+  // ]
 };
@@ -0,0 +1,197 @@
+/**
+ * Dataset Diff
+ * Porównuje dwie wersje zbioru szlaków po stabilnych identyfikatorach OSM (`@id`):
+ * które szlaki doszły, które zmieniły przebieg lub tagi, a które zniknęły.
+ *
+ * W przeglądarce ostatnio widziana wersja jest trzymana w localStorage jako lekki
+ * „snapshot” (hashe + uproszczona geometria), w Node porównujemy dwa pliki.
+ */
+
+// Tolerancja upraszczania zapamiętanej geometrii (m) – wystarcza do pokazania starego przebiegu
+const SNAPSHOT_SIMPLIFY_METERS = 15;
+
+// FNV-1a (32 bit) – krótki, deterministyczny hash do porównań
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+function roundCoords(coords, digits) {
+  const f = Math.pow(10, digits);
+  return coords.map(c => [Math.round(c[0] * f) / f, Math.round(c[1] * f) / f]);
+}
+
+function lineParts(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates || [];
+  return [];
+}
+
+function geometryHash(geometry) {
+  return hashString(JSON.stringify(lineParts(geometry).map(l => roundCoords(l || [], 6))));
+}
+
+// Tagi OSM bez pól technicznych (`_osmc`, `_route`, …), w stałej kolejności kluczy
+function tagsHash(props) {
+  const p = props || {};
+  const keys = Object.keys(p).filter(k => !k.startsWith('_')).sort();
+  return hashString(JSON.stringify(keys.map(k => [k, p[k]])));
+}
+
+/**
+ * Douglas–Peucker na płaskim rzucie (metry), wystarczający w skali jednego szlaku.
+ * @param {Array<[number,number]>} coords
+ * @param {number} tolMeters
+ * @returns {Array<[number,number]>}
+ */
+function simplifyLine(coords, tolMeters) {
+  if (!coords || coords.length <= 2) return coords || [];
+  const lat0 = coords[0][1] * Math.PI / 180;
+  const kx = 111320 * Math.cos(lat0), ky = 110540;
+  const pts = coords.map(c => [c[0] * kx, c[1] * ky]);
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ax, ay] = pts[a], [bx, by] = pts[b];
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    let maxD = -1, maxI = -1;
+    for (let i = a + 1; i < b; i++) {
+      const [px, py] = pts[i];
+      let t = len2 ? ((px - ax) * dx + (py - ay) * dy) / len2 : 0;
+      t = Math.max(0, Math.min(1, t));
+      const ex = ax + t * dx - px, ey = ay + t * dy - py;
+      const d = ex * ex + ey * ey;
+      if (d > maxD) { maxD = d; maxI = i; }
+    }
+    if (maxI >= 0 && maxD > tolMeters * tolMeters) {
+      keep[maxI] = 1;
+      stack.push([a, maxI], [maxI, b]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]);
+}
+
+function simplifyGeometry(geometry, tolMeters) {
+  const parts = lineParts(geometry)
+    .map(l => roundCoords(simplifyLine(l, tolMeters), 5))
+    .filter(l => l.length >= 2);
+  if (!parts.length) return null;
+  return parts.length === 1
+    ? { type: 'LineString', coordinates: parts[0] }
+    : { type: 'MultiLineString', coordinates: parts };
+}
+
+/**
+ * Tworzy snapshot zbioru do późniejszego porównania.
+ * Szlaki bez `@id` są pomijane – nie da się ich wiarygodnie dopasować między wersjami.
+ * @param {Object} data - FeatureCollection (z opcjonalnym `_meta`/`metadata`)
+ * @param {{simplify?: number|false}} [opts] - tolerancja w metrach albo false = pełna geometria
+ * @returns {{version:string|null, fingerprint:string, trails:Object}}
+ */
+function createSnapshot(data, { simplify = SNAPSHOT_SIMPLIFY_METERS } = {}) {
+  const trails = {};
+  (data?.features || []).forEach(f => {
+    const p = f?.properties || {};
+    const id = p['@id'];
+    if (!id) return;
+    trails[id] = {
+      name: p.name || id,
+      geom: geometryHash(f.geometry),
+      tags: tagsHash(p),
+      geometry: simplify === false ? f.geometry : simplifyGeometry(f.geometry, simplify)
+    };
+  });
+
+  const ids = Object.keys(trails).sort();
+  return {
+    version: data?._meta?.version || data?.metadata?.version || null,
+    fingerprint: hashString(ids.map(id => `${id}:${trails[id].geom}:${trails[id].tags}`).join('|')),
+    trails
+  };
+}
+
+/**
+ * Porównuje dwa snapshoty.
+ * @returns {{ from:string|null, to:string|null,
+ *   added:Array<{id,name}>,
+ *   updated:Array<{id,name,geometry:boolean,tags:boolean,previousGeometry:Object|null}>,
+ *   removed:Array<{id,name}> }}
+ */
+function diffSnapshots(prev, next) {
+  const a = prev?.trails || {}, b = next?.trails || {};
+  const added = [], updated = [], removed = [];
+
+  Object.keys(b).forEach(id => {
+    const was = a[id], now = b[id];
+    if (!was) { added.push({ id, name: now.name }); return; }
+    const geometry = was.geom !== now.geom;
+    const tags = was.tags !== now.tags;
+    if (geometry || tags) {
+      updated.push({ id, name: now.name, geometry, tags, previousGeometry: geometry ? was.geometry : null });
+    }
+  });
+  Object.keys(a).forEach(id => {
+    if (!b[id]) removed.push({ id, name: a[id].name });
+  });
+
+  return { from: prev?.version || null, to: next?.version || null, added, updated, removed };
+}
+
+function isEmptyDiff(diff) {
+  return !diff || (!diff.added.length && !diff.updated.length && !diff.removed.length);
+}
+
+/**
+ * Porównuje wczytany zbiór z wersją, którą przeglądarka widziała poprzednio.
+ * Zmiany są pokazywane tak długo, aż na serwerze pojawi się kolejna wersja
+ * (przechowujemy parę { previous, current }).
+ * @param {Object} data - FeatureCollection z datasetLoader.loadDataset
+ * @param {string} storageKey - klucz localStorage (osobny dla regionu)
+ * @returns {Object|null} wynik diffSnapshots albo null przy pierwszej wizycie
+ */
+function trackChanges(data, storageKey) {
+  let stored = null;
+  try { stored = JSON.parse(localStorage.getItem(storageKey) || 'null'); } catch {}
+
+  const snapshot = createSnapshot(data);
+  let previous = stored?.previous || null;
+  if (stored?.current && stored.current.fingerprint !== snapshot.fingerprint) {
+    previous = stored.current;
+  }
+
+  if (!stored?.current || previous !== stored.previous) {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({ previous, current: snapshot }));
+    } catch (err) {
+      // Brak miejsca – zapamiętaj chociaż bieżącą wersję (bez możliwości pokazania zmian)
+      console.warn('[datasetDiff] localStorage full:', err);
+      try { localStorage.setItem(storageKey, JSON.stringify({ previous: null, current: snapshot })); } catch {}
+    }
+  }
+
+  return previous ? diffSnapshots(previous, snapshot) : null;
+}
+
+const datasetDiff = {
+  createSnapshot,
+  diffSnapshots,
+  isEmptyDiff,
+  trackChanges,
+  simplifyLine
+};
+
+// Eksportuj dla przeglądarki i Node (porównanie plików z linii poleceń)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = datasetDiff;
+} else {
+  window.datasetDiff = datasetDiff;
+}
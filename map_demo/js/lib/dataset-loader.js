@@ -0,0 +1,219 @@
+/**
+ * Dataset Loader
+ * Wczytuje zbiór szlaków (GeoJSON) z adresu podanego w window.CONFIG,
+ * sprawdza jego schemat i zapamiętuje wersję/ETag pobranych danych.
+ *
+ * Dzięki temu aktualizacja szlaków to podmiana pliku `trails.geojson`
+ * na serwerze – bez zmian w `app.js`.
+ */
+
+const DATASET_META_KEY = 'mm_dataset_v1';
+const DEFAULT_TRAILS_URL = './assets/geo/trails.geojson';
+const ALLOWED_GEOMETRIES = ['LineString', 'MultiLineString'];
+
+/**
+ * Zwraca adres zbioru szlaków z konfiguracji.
+ * Opcjonalne CONFIG.DATASET_VERSION jest doklejane jako `?v=`, żeby ominąć cache CDN.
+ * @returns {string}
+ */
+function getDatasetUrl() {
+  const cfg = (typeof window !== 'undefined' && window.CONFIG) || {};
+  const url = cfg.TRAILS_URL || DEFAULT_TRAILS_URL;
+  if (!cfg.DATASET_VERSION) return url;
+  const sep = url.includes('?') ? '&' : '?';
+  return `${url}${sep}v=${encodeURIComponent(cfg.DATASET_VERSION)}`;
+}
+
+function isPosition(p) {
+  return Array.isArray(p) && p.length >= 2 &&
+    Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+    p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90;
+}
+
+function isLine(coords) {
+  return Array.isArray(coords) && coords.length >= 2 && coords.every(isPosition);
+}
+
+/**
+ * Sprawdza schemat zbioru szlaków.
+ * Błędy geometrii ('error') odrzucają szlak, brak nazwy/symbolu ('warn') tylko raportujemy
+ * – chyba że włączono tryb `strict`.
+ * @param {Object} data - FeatureCollection
+ * @param {{strict?: boolean}} [opts]
+ * @returns {{ data: Object, issues: Array<{index:number, level:string, message:string}> }}
+ */
+function validateDataset(data, { strict = false } = {}) {
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('Zbiór szlaków musi być obiektem FeatureCollection z tablicą features');
+  }
+
+  const issues = [];
+  const features = [];
+
+  data.features.forEach((f, index) => {
+    const own = [];
+    const report = (level, message) => own.push({ index, level, message });
+
+    if (!f || f.type !== 'Feature') {
+      report('error', 'element nie jest obiektem Feature');
+    } else {
+      const g = f.geometry;
+      if (!g || !ALLOWED_GEOMETRIES.includes(g.type)) {
+        report('error', `nieobsługiwany typ geometrii: ${g ? g.type : 'brak'}`);
+      } else if (g.type === 'LineString' && !isLine(g.coordinates)) {
+        report('error', 'LineString ma mniej niż 2 poprawne punkty');
+      } else if (g.type === 'MultiLineString' &&
+                 (!Array.isArray(g.coordinates) || !g.coordinates.some(isLine))) {
+        report('error', 'MultiLineString nie zawiera żadnej poprawnej linii');
+      }
+
+      const p = f.properties || {};
+      if (typeof p.name !== 'string' || !p.name.trim()) {
+        report('warn', 'brak wymaganej właściwości "name"');
+      }
+      if (typeof p['osmc:symbol'] !== 'string' || !p['osmc:symbol'].trim()) {
+        report('warn', 'brak wymaganej właściwości "osmc:symbol"');
+      }
+    }
+
+    const rejected = own.some(i => i.level === 'error' || (strict && i.level === 'warn'));
+    const name = f?.properties?.name || `#${index}`;
+    own.forEach(i => issues.push({ ...i, message: `${name}: ${i.message}` }));
+    if (!rejected) features.push(f);
+  });
+
+  return { data: { ...data, features }, issues };
+}
+
+/**
+ * Odczytuje ciało odpowiedzi strumieniowo, raportując postęp (0..1 lub null, gdy brak Content-Length).
+ */
+async function readJsonWithProgress(res, onProgress) {
+  const total = Number(res.headers.get('Content-Length')) || 0;
+  if (!res.body || typeof res.body.getReader !== 'function') {
+    return res.json();
+  }
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (onProgress) onProgress(total ? Math.min(1, received / total) : null, received);
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const c of chunks) { bytes.set(c, offset); offset += c.length; }
+  return JSON.parse(new TextDecoder('utf-8').decode(bytes));
+}
+
+function setLoaderText(loaderEl, progress, received) {
+  if (!loaderEl) return;
+  const suffix = progress != null
+    ? ` ${Math.round(progress * 100)}%`
+    : (received ? ` ${Math.round(received / 1024)} kB` : '');
+  const label = window.i18n ? window.i18n.t('loader.loading') : 'Wczytywanie danych…';
+  loaderEl.textContent = `${label}${suffix}`;
+}
+
+// Metadane trzymamy per zbiór (adres bez parametrów), bo regiony mają osobne pliki
+function metaKey(url) {
+  return String(url || '').split('?')[0];
+}
+
+function readMetaStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(DATASET_META_KEY) || '{}');
+    return store && typeof store === 'object' ? store : {};
+  } catch { return {}; }
+}
+
+function getStoredMeta(url = getDatasetUrl()) {
+  return readMetaStore()[metaKey(url)] || null;
+}
+
+function storeMeta(meta) {
+  const store = readMetaStore();
+  store[metaKey(meta.url)] = meta;
+  try { localStorage.setItem(DATASET_META_KEY, JSON.stringify(store)); } catch {}
+}
+
+/**
+ * Pobiera i waliduje zbiór szlaków, pokazując postęp w elemencie #loader.
+ * @param {string} [url] - domyślnie getDatasetUrl()
+ * @param {{ loaderEl?: HTMLElement, strict?: boolean }} [opts]
+ * @returns {Promise<Object>} FeatureCollection z polem `_meta` = { url, version, etag, previousVersion }
+ */
+async function loadDataset(url = getDatasetUrl(), { loaderEl = null, strict = false } = {}) {
+  if (loaderEl) {
+    loaderEl.classList.add('active');
+    setLoaderText(loaderEl, 0);
+  }
+
+  try {
+    // no-cache = przeglądarka zawsze rewaliduje (ETag/Last-Modified), więc podmiana pliku działa od razu
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`HTTP ${res.status} while fetching ${url}`);
+
+    const raw = await readJsonWithProgress(res, (p, received) => setLoaderText(loaderEl, p, received));
+    const { data, issues } = validateDataset(raw, { strict });
+
+    issues.forEach(i => {
+      const log = i.level === 'error' ? console.error : console.warn;
+      log('[datasetLoader]', i.message);
+    });
+    if (!data.features.length) throw new Error('Zbiór szlaków nie zawiera żadnego poprawnego szlaku');
+
+    const etag = res.headers.get('ETag') || null;
+    const lastModified = res.headers.get('Last-Modified') || null;
+    const previous = getStoredMeta(url);
+    const meta = {
+      url,
+      version: raw.metadata?.version || etag || lastModified || null,
+      etag,
+      ts: Date.now()
+    };
+    storeMeta(meta);
+
+    data._meta = { ...meta, previousVersion: previous?.version || null };
+    return data;
+  } finally {
+    if (loaderEl) loaderEl.classList.remove('active');
+  }
+}
+
+/**
+ * Sprawdza (warunkowym żądaniem) czy na serwerze jest nowsza wersja zbioru niż ostatnio wczytana.
+ * @returns {Promise<boolean>}
+ */
+async function checkForUpdate(url = getDatasetUrl()) {
+  const stored = getStoredMeta(url);
+  if (!stored?.etag) return false;
+  try {
+    const res = await fetch(url, { method: 'HEAD', cache: 'no-cache', headers: { 'If-None-Match': stored.etag } });
+    if (res.status === 304) return false;
+    const etag = res.headers.get('ETag');
+    return !!etag && etag !== stored.etag;
+  } catch {
+    return false;
+  }
+}
+
+const datasetLoader = {
+  getDatasetUrl,
+  validateDataset,
+  loadDataset,
+  checkForUpdate,
+  getStoredMeta
+};
+
+// Eksportuj dla przeglądarki i Node (walidacja jest używana także poza przeglądarką)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = datasetLoader;
+} else {
+  window.datasetLoader = datasetLoader;
+}
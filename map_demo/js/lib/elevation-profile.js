@@ -0,0 +1,273 @@
+/**
+ * Elevation Profile
+ * Panel z profilem wysokości aktywnego szlaku nad paskiem odtwarzania: wykres (SVG),
+ * suma podejść/zejść, zakres wysokości, kursor zsynchronizowany z animacją i eksport CSV.
+ *
+ * Wysokości pochodzą z terrainDem (kafle Terrain-RGB), punkty są próbkowane
+ * równomiernie wzdłuż trasy (trailUtils.resampleLine). Przewijanie animacji zostaje
+ * w app.js – panel tylko zgłasza nową fazę przez `onSeek(phase, done)`.
+ */
+
+// map_demo/js/lib/elevation-profile.js
+window.elevationProfile = window.elevationProfile || {};
+
+const PROFILE_OPEN_KEY = 'mm_profile_open_v1';
+const PROFILE_MAX_SAMPLES = 400;
+const PROFILE_MIN_STEP_METERS = 20;
+const PROFILE_W = 1000, PROFILE_H = 100; // układ współrzędnych SVG (rozciągany do rozmiaru panelu)
+
+const profileCache = new Map(); // klucz szlaku → Promise<profil>
+let profilePanel = null;
+let profileCurrent = null;
+let profileToken = 0;
+let profileOnSeek = null;
+
+function profileText(key, params) {
+  return window.i18n.t(key, params);
+}
+
+/**
+ * Próbkuje trasę i pobiera wysokości.
+ * @param {Array<[number,number]>} coords
+ * @returns {Promise<{ samples: Array<{d:number, coord:[number,number], e:(number|null)}>, lengthKm:number, stats:Object|null }>}
+ */
+async function buildProfile(coords) {
+  const lengthM = window.trailUtils.lengthOfLineStringKm(coords) * 1000;
+  const step = Math.max(PROFILE_MIN_STEP_METERS, lengthM / PROFILE_MAX_SAMPLES);
+  const points = window.trailUtils.resampleLine(coords, step);
+  const elevations = await window.terrainDem.elevations(points.map(p => p.coord));
+  const samples = points.map((p, i) => ({ d: p.d, coord: p.coord, e: elevations[i] }));
+  return {
+    samples,
+    lengthKm: lengthM / 1000,
+    stats: window.trailUtils.elevationStats(elevations)
+  };
+}
+
+// Nazwa pliku CSV: ten sam zapis bez polskich znaków co w wyszukiwarce (trailSearch.foldText)
+function profileSlug(name) {
+  return window.trailSearch.foldText(name)
+    .replace(/\s+/g, '_').replace(/[^a-z0-9_-]/g, '') || 'profil';
+}
+
+/**
+ * Profil jako CSV (kropka dziesiętna, przecinek jako separator).
+ * @param {Object} profile - wynik show()/current()
+ * @returns {string}
+ */
+window.elevationProfile.toCsv = function toCsv(profile) {
+  const rows = ['distance_km,elevation_m,lat,lon'];
+  (profile?.samples || []).forEach(s => {
+    rows.push([
+      (s.d / 1000).toFixed(3),
+      s.e == null ? '' : s.e.toFixed(1),
+      s.coord[1].toFixed(6),
+      s.coord[0].toFixed(6)
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+};
+
+function downloadProfileCsv() {
+  if (!profileCurrent) return;
+  const blob = new Blob([window.elevationProfile.toCsv(profileCurrent)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${profileText('profile.file', { slug: profileSlug(profileCurrent.name) })}.csv`;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
+// Ścieżki SVG: linia (z przerwami tam, gdzie brak danych) i wypełnienie pod nią
+function profilePaths(profile) {
+  const st = profile.stats;
+  const total = profile.samples[profile.samples.length - 1]?.d || 1;
+  const span = Math.max(1, st.max - st.min);
+  const x = s => (s.d / total * PROFILE_W).toFixed(1);
+  const y = s => (PROFILE_H - 6 - (s.e - st.min) / span * (PROFILE_H - 12)).toFixed(1);
+
+  let line = '', pen = false;
+  profile.samples.forEach(s => {
+    if (s.e == null) { pen = false; return; }
+    line += `${pen ? 'L' : 'M'}${x(s)},${y(s)}`;
+    pen = true;
+  });
+  const known = profile.samples.filter(s => s.e != null);
+  const area = known.length > 1
+    ? `M${x(known[0])},${PROFILE_H}` + known.map(s => `L${x(s)},${y(s)}`).join('') + `L${x(known[known.length - 1])},${PROFILE_H}Z`
+    : '';
+  return { line, area };
+}
+
+function renderProfile() {
+  if (!profilePanel) return;
+  const stats = profilePanel.querySelector('.profile-stats');
+  const svg = profilePanel.querySelector('svg');
+  const dist = profilePanel.querySelector('.profile-dist');
+  const p = profileCurrent;
+
+  profilePanel.hidden = !p;
+  if (!p) return;
+
+  if (p.loading || !p.stats) {
+    stats.textContent = profileText(p.loading ? 'profile.loading' : 'profile.unavailable');
+    svg.querySelector('.profile-line').setAttribute('d', '');
+    svg.querySelector('.profile-area').setAttribute('d', '');
+    dist.textContent = '';
+    profilePanel.querySelector('.profile-csv').disabled = true;
+    return;
+  }
+
+  const st = p.stats;
+  stats.innerHTML = '';
+  [
+    ['ascent', `↑ ${Math.round(st.ascent)} m`, 'profile.ascent'],
+    ['descent', `↓ ${Math.round(st.descent)} m`, 'profile.descent'],
+    ['range', profileText('profile.rangeValue', { min: Math.round(st.min), max: Math.round(st.max) }), 'profile.range']
+  ].forEach(([cls, text, title]) => {
+    const span = document.createElement('span');
+    span.className = `profile-${cls}`;
+    span.textContent = text;
+    span.title = profileText(title);
+    stats.appendChild(span);
+  });
+
+  const { line, area } = profilePaths(p);
+  svg.querySelector('.profile-line').setAttribute('d', line);
+  svg.querySelector('.profile-area').setAttribute('d', area);
+  dist.textContent = `${p.lengthKm.toFixed(2)} km`;
+  profilePanel.querySelector('.profile-csv').disabled = false;
+}
+
+/**
+ * Tworzy panel (raz) i podpina przewijanie.
+ * @param {{ onSeek?: function(number, boolean) }} [opts] - faza 0..1 i czy to koniec przeciągania
+ */
+window.elevationProfile.mount = function mount({ onSeek = null } = {}) {
+  profileOnSeek = onSeek;
+  if (profilePanel) return;
+
+  const open = localStorage.getItem(PROFILE_OPEN_KEY) !== '0';
+  profilePanel = document.createElement('div');
+  profilePanel.id = 'elevationProfile';
+  profilePanel.hidden = true;
+  profilePanel.classList.toggle('open', open);
+  profilePanel.innerHTML = `
+    <div class="profile-head">
+      <button type="button" class="profile-toggle" aria-expanded="${open}"></button>
+      <span class="profile-stats"></span>
+      <button type="button" class="profile-csv btn chip">CSV</button>
+    </div>
+    <div class="profile-chart" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+      <svg viewBox="0 0 ${PROFILE_W} ${PROFILE_H}" preserveAspectRatio="none" aria-hidden="true">
+        <path class="profile-area"/>
+        <path class="profile-line"/>
+        <line class="profile-cursor" x1="0" x2="0" y1="0" y2="${PROFILE_H}"/>
+      </svg>
+      <span class="profile-dist"></span>
+    </div>
+  `;
+  const toggle = profilePanel.querySelector('.profile-toggle');
+  const csv = profilePanel.querySelector('.profile-csv');
+  const chart = profilePanel.querySelector('.profile-chart');
+  toggle.textContent = profileText('profile.title');
+  csv.title = profileText('profile.csv');
+  csv.setAttribute('aria-label', profileText('profile.csv'));
+  chart.setAttribute('aria-label', profileText('profile.seek'));
+
+  toggle.addEventListener('click', () => {
+    const isOpen = profilePanel.classList.toggle('open');
+    toggle.setAttribute('aria-expanded', isOpen);
+    localStorage.setItem(PROFILE_OPEN_KEY, isOpen ? '1' : '0');
+  });
+  csv.addEventListener('click', downloadProfileCsv);
+
+  // Klik/przeciąganie po wykresie = przewijanie jak suwakiem #timeline
+  let dragging = false;
+  const seekTo = (phase, done) => {
+    phase = Math.max(0, Math.min(1, phase));
+    window.elevationProfile.setPhase(phase);
+    if (profileOnSeek) profileOnSeek(phase, done);
+  };
+  const phaseAt = e => {
+    const r = chart.getBoundingClientRect();
+    return r.width ? (e.clientX - r.left) / r.width : 0;
+  };
+  chart.addEventListener('pointerdown', e => {
+    if (!profileCurrent?.stats) return;
+    dragging = true;
+    chart.setPointerCapture(e.pointerId);
+    seekTo(phaseAt(e), false);
+  });
+  chart.addEventListener('pointermove', e => { if (dragging) seekTo(phaseAt(e), false); });
+  const endDrag = e => {
+    if (!dragging) return;
+    dragging = false;
+    seekTo(phaseAt(e), true);
+  };
+  chart.addEventListener('pointerup', endDrag);
+  chart.addEventListener('pointercancel', endDrag);
+  chart.addEventListener('keydown', e => {
+    if (!profileCurrent?.stats) return;
+    const now = Number(chart.getAttribute('aria-valuenow')) / 100;
+    const next = { ArrowLeft: now - 0.01, ArrowRight: now + 0.01, Home: 0, End: 1 }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    seekTo(next, true);
+  });
+
+  // Wewnątrz paska sterowania: panel pojawia się i znika razem z nim (także przy eksporcie PNG)
+  (document.getElementById('timelineWrap') || document.body).appendChild(profilePanel);
+};
+
+/**
+ * Pokazuje profil trasy (wynik jest zapamiętywany per klucz szlaku).
+ * @param {Array<[number,number]>} coords - przebieg (np. currentPath)
+ * @param {{ key: string, name?: string }} opts
+ * @returns {Promise<Object|null>} profil albo null, gdy w międzyczasie wybrano inny szlak
+ */
+window.elevationProfile.show = async function show(coords, { key, name = '' }) {
+  const token = ++profileToken;
+  profileCurrent = { name, loading: true };
+  renderProfile();
+  window.elevationProfile.setPhase(0);
+
+  if (!profileCache.has(key)) {
+    profileCache.set(key, buildProfile(coords).catch(err => {
+      console.warn('[elevationProfile] failed:', err);
+      profileCache.delete(key);
+      return { samples: [], lengthKm: 0, stats: null };
+    }));
+  }
+  const profile = await profileCache.get(key);
+  if (token !== profileToken) return null;
+
+  profileCurrent = { ...profile, name };
+  renderProfile();
+  return profileCurrent;
+};
+
+// Pozycja kursora (faza animacji 0..1)
+window.elevationProfile.setPhase = function setPhase(phase) {
+  if (!profilePanel) return;
+  const p = Math.max(0, Math.min(1, Number(phase) || 0));
+  const x = (p * PROFILE_W).toFixed(1);
+  const cursor = profilePanel.querySelector('.profile-cursor');
+  cursor.setAttribute('x1', x);
+  cursor.setAttribute('x2', x);
+  profilePanel.querySelector('.profile-chart').setAttribute('aria-valuenow', String(Math.round(p * 100)));
+};
+
+window.elevationProfile.clear = function clear() {
+  profileToken++;
+  profileCurrent = null;
+  renderProfile();
+};
+
+window.elevationProfile.current = function current() {
+  return profileCurrent && !profileCurrent.loading ? profileCurrent : null;
+};
@@ -0,0 +1,122 @@
+/**
+ * i18n
+ * Warstwa tłumaczeń interfejsu (pl/en/de/cs): wybór języka, katalogi komunikatów,
+ * podstawianie parametrów i formy liczby mnogiej, lokalizowane nazwy szlaków.
+ *
+ * Katalogi są w js/locales/<język>.js (window.i18nMessages[<język>]) i muszą być
+ * wczytane przed tym plikiem. Brakujące klucze spadają do polskiego, a potem do samego klucza.
+ *
+ * Język: parametr URL `?lang=` (zapamiętywany) → localStorage → język przeglądarki → pl.
+ */
+
+// map_demo/js/lib/i18n.js
+window.i18n = window.i18n || {};
+
+const LANG_KEY = 'mm_lang_v1';
+const DEFAULT_LANG = 'pl';
+
+// Nazwy języków w ich własnym brzmieniu (do przełącznika)
+const LANGUAGES = {
+  pl: 'Polski',
+  en: 'English',
+  de: 'Deutsch',
+  cs: 'Čeština'
+};
+
+function isSupportedLang(lang) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+}
+
+function resolveLang() {
+  const fromUrl = String(new URLSearchParams(location.search).get('lang') || '').toLowerCase();
+  if (isSupportedLang(fromUrl)) {
+    try { localStorage.setItem(LANG_KEY, fromUrl); } catch {}
+    return fromUrl;
+  }
+  let saved = null;
+  try { saved = localStorage.getItem(LANG_KEY); } catch {}
+  if (isSupportedLang(saved)) return saved;
+  const browser = (navigator.languages || [navigator.language || ''])
+    .map(l => String(l).slice(0, 2).toLowerCase())
+    .find(isSupportedLang);
+  return browser || DEFAULT_LANG;
+}
+
+const currentLang = resolveLang();
+const pluralRules = new Intl.PluralRules(currentLang);
+
+function lookup(lang, key) {
+  const catalog = window.i18nMessages?.[lang];
+  return catalog && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : undefined;
+}
+
+/**
+ * Tłumaczy klucz na bieżący język.
+ * Wartość katalogu może być tekstem albo obiektem form liczby mnogiej
+ * ({ one, few, many, other }) – forma jest wybierana według `params.n`.
+ * @param {string} key
+ * @param {Object} [params] - wartości dla {placeholderów}
+ * @returns {string}
+ */
+window.i18n.t = function t(key, params) {
+  let msg = lookup(currentLang, key);
+  if (msg === undefined) msg = lookup(DEFAULT_LANG, key);
+  if (msg === undefined) return key;
+  if (msg && typeof msg === 'object') {
+    msg = msg[pluralRules.select(Number(params?.n) || 0)] ?? msg.other ?? '';
+  }
+  return String(msg).replace(/\{(\w+)\}/g, (m, name) => (params && params[name] != null ? String(params[name]) : m));
+};
+
+window.i18n.lang = currentLang;
+window.i18n.languages = LANGUAGES;
+
+// Tag BCP 47 do Intl / toLocaleString
+window.i18n.locale = function locale() {
+  return { pl: 'pl-PL', en: 'en-GB', de: 'de-DE', cs: 'cs-CZ' }[currentLang] || currentLang;
+};
+
+/**
+ * Nazwa szlaku w bieżącym języku (`name:de`, `name:en`, `name:cs`), a gdy jej brak – `name`.
+ * Dla polskiego zawsze `name` (to polska nazwa, od niej zależą też pliki zdjęć).
+ * @param {Object} props - properties szlaku
+ * @returns {string|undefined}
+ */
+window.i18n.trailName = function trailName(props) {
+  const p = props || {};
+  if (currentLang === DEFAULT_LANG) return p.name;
+  return p[`name:${currentLang}`] || p.name;
+};
+
+/**
+ * Zmienia język: zapamiętuje wybór, ustawia `lang` w adresie i przeładowuje stronę
+ * (teksty list, filtrów i warstw są budowane jednorazowo przy starcie).
+ * @param {string} lang
+ */
+window.i18n.setLang = function setLang(lang) {
+  if (!isSupportedLang(lang) || lang === currentLang) return;
+  try { localStorage.setItem(LANG_KEY, lang); } catch {}
+  const url = new URL(location.href);
+  url.searchParams.set('lang', lang);
+  location.assign(url.toString());
+};
+
+/**
+ * Tłumaczy statyczne elementy HTML oznaczone atrybutami
+ * data-i18n (tekst), data-i18n-title, data-i18n-aria-label i data-i18n-placeholder.
+ * @param {ParentNode} [root=document]
+ */
+window.i18n.applyStatic = function applyStatic(root = document) {
+  const t = window.i18n.t;
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+};
+
+document.documentElement.lang = currentLang;
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => window.i18n.applyStatic());
+} else {
+  window.i18n.applyStatic();
+}
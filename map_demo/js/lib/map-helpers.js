@@ -5,6 +5,8 @@ try {
 
 /**
  * Dodaje/aktualizuje linię z GeoJSON na mapie.
+ * Obiekty Point z tego samego pliku trafiają do osobnego źródła `${id}-poi`
+ * (patrz addGeoJsonPoints) – chyba że `points: false`.
  * @param {mapboxgl.Map} map - instancja mapy Mapbox GL
  * @param {{
  *   id: string,
@@ -12,7 +14,8 @@ try {
  *   paint?: mapboxgl.LinePaint,
  *   beforeId?: string,
  *   fitToData?: boolean,
- *   padding?: number
+ *   padding?: number,
+ *   points?: boolean | PoiOptions
  * }} opts
  * @returns {Promise<void>}
  */
@@ -20,13 +23,19 @@ try {
 // map_demo/js/lib/map-helpers.js
 window.mapHelpers = window.mapHelpers || {};
 
+const LINE_FILTER = ['match', ['geometry-type'], ['LineString', 'MultiLineString'], true, false];
+
+// Identyfikatory warstw POI, w które można kliknąć (app.js pomija je przy pauzie animacji)
+window.mapHelpers.poiLayerIds = window.mapHelpers.poiLayerIds || new Set();
+
 window.mapHelpers.addGeoJsonLine = async function addGeoJsonLine(map, {
   id,
   url,
   paint = { 'line-color': '#00FFFF', 'line-width': 4 },
   beforeId = undefined,
   fitToData = true,
-  padding = 60
+  padding = 60,
+  points = true
 } = {}) {
   try {
     const res = await fetch(url || (window.CONFIG?.GEOJSON_URL || './assets/geo/converted_map.geojson'));
@@ -45,7 +54,20 @@ window.mapHelpers.addGeoJsonLine = async function addGeoJsonLine(map, {
 
     const layerId = `${id}-line`;
     if (!map.getLayer(layerId)) {
-      map.addLayer({ id: layerId, type: 'line', source: id, paint }, beforeId);
+      map.addLayer({ id: layerId, type: 'line', source: id, paint, filter: LINE_FILTER }, beforeId);
+    } else {
+      // Kolejne wywołanie (np. inny region) może przyjść z innym stylem linii
+      Object.entries(paint).forEach(([prop, value]) => map.setPaintProperty(layerId, prop, value));
+    }
+
+    if (points) {
+      window.mapHelpers.addGeoJsonPoints(map, {
+        ...(typeof points === 'object' ? points : {}),
+        id: `${id}-poi`,
+        data
+      });
+    } else {
+      removeGeoJsonPoints(map, `${id}-poi`);
     }
 
     if (fitToData && typeof turf?.bbox === 'function') {
@@ -58,6 +80,175 @@ window.mapHelpers.addGeoJsonLine = async function addGeoJsonLine(map, {
   }
 };
 
+function escapePopupText(str) {
+  return String(str ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+/**
+ * Tekst bezpieczny do wstawienia w HTML (treść i wartości atrybutów w cudzysłowie).
+ * @param {*} str
+ * @returns {string}
+ */
+window.mapHelpers.escapeHtml = escapePopupText;
+
+/**
+ * @typedef {Object} PoiOptions
+ * @property {boolean} [cluster=true] - grupowanie punktów przy małym przybliżeniu
+ * @property {number} [clusterMaxZoom=13] - powyżej tego zoomu punkty są pokazywane osobno
+ * @property {number} [clusterRadius=40]
+ * @property {string} [color='#FFD600'] - kolor punktu i klastra
+ * @property {string} [labelField='name'] - właściwość z nazwą (etykieta i popup)
+ * @property {number} [labelMinZoom=14] - od tego zoomu pokazuj etykiety
+ * @property {boolean} [popup=true] - popup z nazwą po kliknięciu
+ * @property {string} [beforeId]
+ */
+
+// Opcje i handlery zdarzeń warstw POI per id – zmiana opcji przebudowuje źródło i warstwy
+const poiSetups = new Map();
+
+function poiLayersOf(id) {
+  return [`${id}-clusters`, `${id}-cluster-count`, `${id}-points`, `${id}-labels`];
+}
+
+// Usuwa źródło, warstwy i handlery dodane przez addGeoJsonPoints (brak źródła = nic nie robi)
+function removeGeoJsonPoints(map, id) {
+  poiSetups.get(id)?.handlers.forEach(([type, layer, fn]) => map.off(type, layer, fn));
+  poiSetups.delete(id);
+  for (const layer of poiLayersOf(id)) {
+    if (map.getLayer(layer)) map.removeLayer(layer);
+    window.mapHelpers.poiLayerIds.delete(layer);
+  }
+  if (map.getSource(id)) map.removeSource(id);
+}
+
+/**
+ * Dodaje/aktualizuje punkty (POI) z GeoJSON jako warstwy circle/symbol z klastrowaniem.
+ * Obiekty inne niż Point/MultiPoint są pomijane. Przy kolejnym wywołaniu z tym samym id
+ * i tymi samymi opcjami podmieniane są tylko dane; inne opcje przebudowują źródło i warstwy.
+ * @param {mapboxgl.Map} map - instancja mapy Mapbox GL
+ * @param {PoiOptions & { id: string, data: Object }} opts
+ * @returns {number} liczba dodanych punktów
+ */
+window.mapHelpers.addGeoJsonPoints = function addGeoJsonPoints(map, {
+  id,
+  data,
+  cluster = true,
+  clusterMaxZoom = 13,
+  clusterRadius = 40,
+  color = '#FFD600',
+  labelField = 'name',
+  labelMinZoom = 14,
+  popup = true,
+  beforeId = undefined
+} = {}) {
+  const list = data?.type === 'FeatureCollection' ? data.features : [data];
+  const features = (list || []).filter(f => f?.geometry && (f.geometry.type === 'Point' || f.geometry.type === 'MultiPoint'));
+  const fc = { type: 'FeatureCollection', features };
+
+  const optionsKey = JSON.stringify([cluster, clusterMaxZoom, clusterRadius, color, labelField, labelMinZoom, popup, beforeId]);
+  if (map.getSource(id)) {
+    if (poiSetups.get(id)?.optionsKey === optionsKey) {
+      map.getSource(id).setData(fc);
+      return features.length;
+    }
+    removeGeoJsonPoints(map, id);
+  }
+  if (!features.length) return 0;
+
+  const handlers = [];
+  const on = (type, layer, fn) => { map.on(type, layer, fn); handlers.push([type, layer, fn]); };
+  poiSetups.set(id, { optionsKey, handlers });
+
+  map.addSource(id, { type: 'geojson', data: fc, cluster, clusterMaxZoom, clusterRadius });
+
+  map.addLayer({
+    id: `${id}-clusters`, type: 'circle', source: id,
+    filter: ['has', 'point_count'],
+    paint: {
+      'circle-color': color,
+      'circle-opacity': 0.85,
+      'circle-radius': ['step', ['get', 'point_count'], 14, 5, 18, 10, 22],
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#fff'
+    }
+  }, beforeId);
+  map.addLayer({
+    id: `${id}-cluster-count`, type: 'symbol', source: id,
+    filter: ['has', 'point_count'],
+    layout: { 'text-field': ['get', 'point_count_abbreviated'], 'text-size': 12, 'text-allow-overlap': true },
+    paint: { 'text-color': '#111' }
+  }, beforeId);
+  map.addLayer({
+    id: `${id}-points`, type: 'circle', source: id,
+    filter: ['!', ['has', 'point_count']],
+    paint: {
+      'circle-color': color,
+      'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 4, 15, 7],
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#fff'
+    }
+  }, beforeId);
+  map.addLayer({
+    id: `${id}-labels`, type: 'symbol', source: id,
+    filter: ['!', ['has', 'point_count']],
+    minzoom: labelMinZoom,
+    layout: {
+      'text-field': ['coalesce', ['get', labelField], ''],
+      'text-size': 12,
+      'text-offset': [0, 1.2],
+      'text-anchor': 'top',
+      'text-optional': true
+    },
+    paint: { 'text-color': '#fff', 'text-halo-color': 'rgba(0,0,0,.75)', 'text-halo-width': 1.2 }
+  }, beforeId);
+
+  window.mapHelpers.poiLayerIds.add(`${id}-clusters`);
+  window.mapHelpers.poiLayerIds.add(`${id}-points`);
+
+  // Klik w klaster – przybliż do poziomu, na którym się rozpada
+  on('click', `${id}-clusters`, (e) => {
+    const f = e.features?.[0];
+    if (!f) return;
+    map.getSource(id).getClusterExpansionZoom(f.properties.cluster_id, (err, zoom) => {
+      if (err) return;
+      map.easeTo({ center: f.geometry.coordinates, zoom });
+    });
+  });
+
+  // Klik w punkt – popup z nazwą
+  if (popup) {
+    on('click', `${id}-points`, (e) => {
+      const f = e.features?.[0];
+      if (!f) return;
+      const name = f.properties?.[labelField] || window.i18n.t('poi.fallbackName');
+      new mapboxgl.Popup({ closeButton: true, offset: 10 })
+        .setLngLat(f.geometry.coordinates)
+        .setHTML(`<strong>${escapePopupText(name)}</strong>`)
+        .addTo(map);
+    });
+  }
+
+  for (const layer of [`${id}-clusters`, `${id}-points`]) {
+    on('mouseenter', layer, () => { map.getCanvas().style.cursor = 'pointer'; });
+    on('mouseleave', layer, () => { map.getCanvas().style.cursor = ''; });
+  }
+
+  return features.length;
+};
+
+/**
+ * Pokazuje/ukrywa wszystkie warstwy dodane przez addGeoJsonLine (linia + POI).
+ * @param {mapboxgl.Map} map
+ * @param {string} id - ten sam id co w addGeoJsonLine
+ * @param {boolean} visible
+ */
+window.mapHelpers.setGeoJsonVisibility = function setGeoJsonVisibility(map, id, visible) {
+  const layers = [`${id}-line`, `${id}-poi-clusters`, `${id}-poi-cluster-count`, `${id}-poi-points`, `${id}-poi-labels`];
+  for (const layer of layers) {
+    if (map.getLayer(layer)) map.setLayoutProperty(layer, 'visibility', visible ? 'visible' : 'none');
+  }
+};
+
 } catch (err) {
   console.error('[addGeoJsonLine] failed:', err);
 } finally {
@@ -0,0 +1,149 @@
+/**
+ * Range Facet
+ * Filtr zakresu z dwoma uchwytami i histogramem wartości w tle – dla dowolnego atrybutu
+ * liczbowego szlaku (długość, przewyższenie, czas…).
+ *
+ * Uchwyty to dwa nałożone <input type="range">, więc strzałki, PageUp/PageDown i Home/End
+ * działają jak w zwykłym suwaku. Granica ustawiona na skraj zakresu danych oznacza
+ * „bez ograniczenia” (null) – filtr nie zależy wtedy od długości najdłuższego szlaku w regionie.
+ */
+
+// map_demo/js/lib/range-facet.js
+window.rangeFacet = window.rangeFacet || {};
+
+const RANGE_HISTOGRAM_BINS = 24;
+
+function rangeText(key, params) {
+  return window.i18n.t(key, params);
+}
+
+// Zakres suwaka: min/max danych zaokrąglone na zewnątrz do kroku
+function rangeDomain(values, step) {
+  const nums = values.filter(v => typeof v === 'number' && isFinite(v));
+  if (!nums.length) return { min: 0, max: step };
+  const min = Math.floor(Math.min(...nums) / step) * step;
+  const max = Math.ceil(Math.max(...nums) / step) * step;
+  return { min, max: max > min ? max : min + step };
+}
+
+/**
+ * Tworzy kontrolkę zakresu.
+ * @param {Object} opts
+ * @param {string} opts.label - opis dla czytników ekranu (np. „Dystans”)
+ * @param {number} [opts.step=1]
+ * @param {function(number): string} [opts.format] - wartość → tekst (etykieta i aria-valuetext)
+ * @param {function({min:(number|null), max:(number|null)}, boolean)} [opts.onChange] - zakres i czy to koniec przeciągania
+ * @returns {{ el: HTMLElement, setValues: function(number[]), setHistogram: function(number[]),
+ *   setValue: function({min:(number|null), max:(number|null)}), value: function(): {min:(number|null), max:(number|null)} }}
+ */
+window.rangeFacet.create = function create({ label, step = 1, format = v => String(v), onChange = null }) {
+  const el = document.createElement('div');
+  el.className = 'range-facet';
+  el.innerHTML = `
+    <div class="range-histogram" aria-hidden="true"></div>
+    <div class="range-track">
+      <input type="range" class="range-min" min="0" max="${step}" step="${step}" value="0">
+      <input type="range" class="range-max" min="0" max="${step}" step="${step}" value="${step}">
+    </div>
+    <div class="range-output" aria-hidden="true"></div>
+  `;
+  const lo = el.querySelector('.range-min');
+  const hi = el.querySelector('.range-max');
+  const histogram = el.querySelector('.range-histogram');
+  const output = el.querySelector('.range-output');
+  lo.setAttribute('aria-label', rangeText('range.min', { label }));
+  hi.setAttribute('aria-label', rangeText('range.max', { label }));
+
+  let domain = { min: 0, max: step };
+  let bins = [];
+  // Zakres ustawiony z zewnątrz (zapis, adres strony) obowiązuje, nawet jeśli wykracza poza bieżące
+  // dane – np. przewyższenie przed policzeniem statystyk; uchwyty pokazują go przycięty do skali
+  let wanted = { min: null, max: null };
+
+  const current = () => {
+    const a = Number(lo.value), b = Number(hi.value);
+    return {
+      min: a <= domain.min ? null : a,
+      max: b >= domain.max ? null : b
+    };
+  };
+
+  function renderBars() {
+    const a = Number(lo.value), b = Number(hi.value);
+    const peak = Math.max(1, ...bins);
+    const width = (domain.max - domain.min) / RANGE_HISTOGRAM_BINS;
+    histogram.querySelectorAll('span').forEach((bar, i) => {
+      const from = domain.min + i * width, to = from + width;
+      bar.style.height = `${bins[i] ? Math.max(8, bins[i] / peak * 100) : 0}%`;
+      bar.classList.toggle('in', to > a && from < b);
+    });
+  }
+
+  function render() {
+    const a = Number(lo.value), b = Number(hi.value);
+    const span = domain.max - domain.min;
+    el.style.setProperty('--range-from', String((a - domain.min) / span));
+    el.style.setProperty('--range-to', String((b - domain.min) / span));
+    // Oba uchwyty na prawym skraju: dolny musi leżeć wyżej, inaczej nie da się go złapać
+    lo.classList.toggle('on-top', a >= domain.max);
+    lo.setAttribute('aria-valuetext', format(a));
+    hi.setAttribute('aria-valuetext', format(b));
+    const r = wanted;
+    output.textContent = r.min == null && r.max == null
+      ? rangeText('range.any')
+      : `${format(r.min ?? domain.min)} – ${format(r.max ?? domain.max)}${r.max == null ? '+' : ''}`;
+    renderBars();
+  }
+
+  // Uchwyty nie mogą się minąć; ten przesuwany zatrzymuje się na drugim
+  function onInput(e, done) {
+    if (Number(lo.value) > Number(hi.value)) {
+      if (e.target === lo) lo.value = hi.value;
+      else hi.value = lo.value;
+    }
+    wanted = current();
+    render();
+    if (onChange) onChange(current(), done);
+  }
+  [lo, hi].forEach(input => {
+    input.addEventListener('input', e => onInput(e, false));
+    input.addEventListener('change', e => onInput(e, true));
+  });
+
+  const ctrl = {
+    el,
+    // Zakres suwaka z wartości wszystkich szlaków (zachowuje ustawione granice)
+    setValues(values) {
+      const keep = wanted;
+      domain = rangeDomain(values, step);
+      [lo, hi].forEach(input => {
+        input.min = String(domain.min);
+        input.max = String(domain.max);
+        input.step = String(step);
+      });
+      ctrl.setValue(keep);
+      if (!histogram.children.length) {
+        histogram.innerHTML = '<span></span>'.repeat(RANGE_HISTOGRAM_BINS);
+      }
+    },
+    // Histogram: liczba wartości w każdym z przedziałów
+    setHistogram(values) {
+      const width = (domain.max - domain.min) / RANGE_HISTOGRAM_BINS;
+      bins = new Array(RANGE_HISTOGRAM_BINS).fill(0);
+      values.forEach(v => {
+        if (typeof v !== 'number' || !isFinite(v)) return;
+        const i = Math.min(RANGE_HISTOGRAM_BINS - 1, Math.max(0, Math.floor((v - domain.min) / width)));
+        bins[i]++;
+      });
+      renderBars();
+    },
+    setValue({ min = null, max = null } = {}) {
+      wanted = { min, max };
+      lo.value = String(min == null ? domain.min : Math.max(domain.min, Math.min(domain.max, min)));
+      hi.value = String(max == null ? domain.max : Math.max(Number(lo.value), Math.min(domain.max, max)));
+      render();
+    },
+    value: () => ({ ...wanted })
+  };
+  return ctrl;
+};
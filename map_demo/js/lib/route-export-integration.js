@@ -9,6 +9,9 @@
 // Inicjalizacja modułu eksportu
 let routeExporter = null;
 
+// Teksty w języku interfejsu (lib/i18n.js)
+const exportText = (key, params) => window.i18n.t(key, params);
+
 /**
  * Inicjalizuje moduł eksportu tras
  */
@@ -45,21 +48,21 @@ function showExportChoiceModal({title, subtitle, onDrive, onWalk}) {
         <div class="export-choice-header">
           <h3>${title}</h3>
           ${subtitle ? `<p class="export-choice-subtitle">${subtitle}</p>` : ''}
-          <button class="export-choice-close" aria-label="Zamknij">&times;</button>
+          <button class="export-choice-close" aria-label="${exportText('modal.close')}">&times;</button>
         </div>
         <div class="export-choice-buttons">
           <button class="export-choice-btn export-choice-drive">
             <div class="export-choice-icon">🚗</div>
             <div class="export-choice-text">
-              <strong>Dojazd samochodem</strong>
-              <span>Do startu szlaku</span>
+              <strong>${exportText('export.drive')}</strong>
+              <span>${exportText('export.driveHint')}</span>
             </div>
           </button>
           <button class="export-choice-btn export-choice-walk">
             <div class="export-choice-icon">🚶</div>
             <div class="export-choice-text">
-              <strong>Przejdź szlak pieszo</strong>
-              <span>Cała trasa</span>
+              <strong>${exportText('export.walk')}</strong>
+              <span>${exportText('export.walkHint')}</span>
             </div>
           </button>
         </div>
@@ -143,7 +146,7 @@ async function onClickDownload() {
     // Sprawdź czy moduł jest zainicjalizowany
     if (!routeExporter) {
       if (!initializeRouteExporter()) {
-        throw new Error('Nie udało się zainicjalizować modułu eksportu');
+        throw new Error(exportText('export.initFailed'));
       }
     }
     
@@ -152,19 +155,19 @@ async function onClickDownload() {
     const currentItem = window.currentItem;
     
     if (!currentPath || !currentItem) {
-      alert('Nie wybrano żadnej trasy do eksportu');
+      alert(exportText('export.noRoute'));
       return;
     }
     
-    const name = currentItem.name || 'Trasa';
+    const name = currentItem.name || exportText('export.defaultName');
     
     // Pobierz geolokację
     const userLocation = await getUserLocation();
     
     // Pokaż modal wyboru
     await showExportChoiceModal({
-      title: 'Eksport do Google Maps',
-      subtitle: `Wybierz opcję dla szlaku "${name}"`,
+      title: exportText('export.choiceTitle'),
+      subtitle: exportText('export.choiceSubtitle', { name }),
       onDrive: () => {
         routeExporter.exportDriveToStart(currentPath, name, userLocation);
       },
@@ -175,7 +178,7 @@ async function onClickDownload() {
     
   } catch (error) {
     console.error('Błąd podczas eksportu:', error);
-    alert(`Błąd eksportu: ${error.message}`);
+    alert(exportText('export.failed', { message: error.message }));
   }
 }
 
@@ -191,7 +194,7 @@ async function downloadCurrentRouteNew(format = 'kml', context = {}) {
     if (!routeExporter) {
       console.log('RouteExporter nie jest zainicjalizowany, próbuję zainicjalizować...');
       if (!initializeRouteExporter()) {
-        throw new Error('Nie udało się zainicjalizować modułu eksportu');
+        throw new Error(exportText('export.initFailed'));
       }
     }
     
@@ -222,7 +225,7 @@ async function downloadCurrentRouteNew(format = 'kml', context = {}) {
     // Wykonaj eksport
     const result = await routeExporter.exportRoute(
       currentPath,
-      currentItem.properties?.name || currentItem.name || 'Trasa',
+      currentItem.properties?.name || currentItem.name || exportText('export.defaultName'),
       format,
       {
         includeUserLocation: true, // Automatycznie spróbuj uzyskać lokalizację użytkownika
@@ -245,7 +248,7 @@ async function downloadCurrentRouteNew(format = 'kml', context = {}) {
       return downloadCurrentRouteOriginal(format);
     } else {
       // Jeśli nie ma fallback, pokaż błąd użytkownikowi
-      alert(`Błąd podczas eksportu ${format.toUpperCase()}: ${error.message}`);
+      alert(exportText('export.formatFailed', { format: format.toUpperCase(), message: error.message }));
       throw error;
     }
   }
@@ -259,7 +262,7 @@ async function openRouteInGoogleMapsNew(geojson, name, userLocation = null) {
     // Sprawdź czy moduł jest zainicjalizowany
     if (!routeExporter) {
       if (!initializeRouteExporter()) {
-        throw new Error('Nie udało się zainicjalizować modułu eksportu');
+        throw new Error(exportText('export.initFailed'));
       }
     }
     
@@ -22,13 +22,23 @@ class RouteExporter {
       },
       gpx: {
         trackName: 'Trail Route',
-        trackDescription: 'Exported trail route'
+        trackDescription: null // null = opis w języku interfejsu (export.description)
       }
     };
   }
 
+  /**
+   * Tekst w języku interfejsu (lib/i18n.js); bez warstwy i18n (np. w Node) zwraca klucz
+   */
+  t(key, params) {
+    const i18n = typeof window !== 'undefined' && window.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
   /**
    * Pobiera punkt początkowy i końcowy trasy
+   * Trasa przychodzi już w wybranym kierunku (window.currentPath z app.js – odwrócona
+   * lub z przesuniętym początkiem pętli), więc nie odwracamy jej tu drugi raz.
    * @param {Object} geojson - GeoJSON z geometrią trasy
    * @returns {Object} { start: [lng,lat], end: [lng,lat] }
    */
@@ -85,7 +95,7 @@ class RouteExporter {
    * Tworzy slug z nazwy trasy
    */
   createSlug(name) {
-    if (!name) return 'trasa';
+    if (!name) return this.t('export.fileFallback');
     
     const polishChars = {
       'ą': 'a', 'ć': 'c', 'ę': 'e', 'ł': 'l', 'ń': 'n', 'ó': 'o', 'ś': 's', 'ź': 'z', 'ż': 'z',
@@ -96,6 +106,9 @@ class RouteExporter {
       .split('')
       .map(char => polishChars[char] || char)
       .join('')
+      // Pozostałe znaki diakrytyczne (nazwy niemieckie, czeskie) bez ogonków
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
       .toLowerCase()
       .replace(/\s+/g, '_')
       .replace(/[^a-z0-9_]/g, '');
@@ -117,12 +130,12 @@ class RouteExporter {
     
     const points = this.getStartEnd(finalGeometry);
     if (!points) {
-      this.showError('Nie można określić punktów trasy');
+      this.showError(this.t('export.noPoints'));
       return;
     }
     
     const slug = this.createSlug(name);
-    const filename = `dojazd_do_${slug}.kml`;
+    const filename = `${this.t('export.fileDrive', { slug })}.kml`;
     
     // Pobierz KML
     await this.exportToKML(finalGeometry, name, filename);
@@ -151,12 +164,12 @@ class RouteExporter {
     
     const points = this.getStartEnd(finalGeometry);
     if (!points) {
-      this.showError('Nie można określić punktów trasy');
+      this.showError(this.t('export.noPoints'));
       return;
     }
     
     const slug = this.createSlug(name);
-    const filename = `${slug}_pieszo.kml`;
+    const filename = `${this.t('export.fileWalk', { slug })}.kml`;
     
     // Pobierz KML
     await this.exportToKML(finalGeometry, name, filename);
@@ -190,8 +203,9 @@ class RouteExporter {
    * Pokazuje błąd użytkownikowi
    */
   showError(message, error = null) {
-    this.log(`${message}: ${error ? error.message : 'Nieznany błąd'}`, 'error');
-    alert(`${message}\n\nSzczegóły błędu: ${error ? error.message : 'Nieznany błąd'}`);
+    const details = error ? error.message : this.t('export.unknownError');
+    this.log(`${message}: ${details}`, 'error');
+    alert(`${message}\n\n${this.t('export.errorDetails', { message: details })}`);
   }
 
   /**
@@ -213,7 +227,7 @@ class RouteExporter {
         case 'png':
           return await this.exportToPNG(geojson, name, options);
         default:
-          throw new Error(`Nieobsługiwany format eksportu: ${format}`);
+          throw new Error(this.t('export.unsupported', { format }));
       }
     } catch (error) {
       console.error('Błąd podczas eksportu trasy:', error);
@@ -236,13 +250,13 @@ class RouteExporter {
         }
       }
       
-      const coords = this.extractCoordinates(finalGeometry);
-      if (!coords || coords.length === 0) {
-        throw new Error('Brak współrzędnych do eksportu');
+      const lines = this.extractLines(finalGeometry);
+      if (!lines.length) {
+        throw new Error(this.t('export.noCoords'));
       }
 
       // Generuj KML bez pokazywania modali
-      const kmlContent = this.generateKMLContent(coords, name);
+      const kmlContent = this.generateKMLContent(lines, name);
       
       // Użyj custom filename lub domyślnego
       const filename = customFilename || `${this.createSlug(name)}.kml`;
@@ -254,7 +268,7 @@ class RouteExporter {
       
     } catch (error) {
       this.log(`Błąd podczas eksportu KML: ${error.message}`, 'error');
-      this.showError(`Nie udało się wyeksportować KML: ${error.message}`, error);
+      this.showError(this.t('export.kmlFailed', { message: error.message }), error);
     }
   }
 
@@ -272,12 +286,12 @@ class RouteExporter {
    */
   async exportToGPX(geojson, name, options = {}) {
     try {
-      const coords = this.extractCoordinates(geojson);
-      if (!coords || coords.length === 0) {
-        throw new Error('Brak współrzędnych do eksportu');
+      const lines = this.extractLines(geojson);
+      if (!lines.length) {
+        throw new Error(this.t('export.noCoords'));
       }
 
-      const gpxContent = this.generateGPXContent(coords, name, options);
+      const gpxContent = this.generateGPXContent(lines, name, options);
       this.downloadFile(gpxContent, `${name}.gpx`, 'application/gpx+xml');
       
       return { success: true, format: 'gpx', filename: `${name}.gpx` };
@@ -297,19 +311,19 @@ class RouteExporter {
     try {
       // Sprawdź czy mapa jest dostępna
       if (!window.map || !window.map.getCanvas) {
-        throw new Error('Mapa nie jest dostępna');
+        throw new Error(this.t('export.noMap'));
       }
       
       // Sprawdź czy mamy wymagane dane globalne
       if (!window.currentItem || !window.currentPath) {
-        throw new Error('Brak danych trasy (currentItem lub currentPath)');
+        throw new Error(this.t('export.noRouteData'));
       }
       
       const map = window.map;
       const currentItem = window.currentItem;
       const currentPath = window.currentPath;
       if (!window.turf) {
-        throw new Error('Biblioteka Turf.js nie jest dostępna');
+        throw new Error(this.t('export.noTurf'));
       }
       const turf = window.turf;
       
@@ -453,7 +467,9 @@ class RouteExporter {
       const longest = titleLines.reduce((w,t)=>Math.max(w, ctxMeasure.measureText(t).width), 0);
 
       ctxMeasure.font = subFont;
-      const distText = `${distKm.toFixed(2)} km`;
+      // Elevation stats (trailStats) next to distance, once computed
+      const stats = currentItem.stats;
+      const distText = `${distKm.toFixed(2)} km` + (stats ? ` · ↑ ${stats.ascent} m · ↓ ${stats.descent} m` : '');
       const distW = ctxMeasure.measureText(distText).width;
 
       const textW = Math.max(longest, distW);
@@ -486,7 +502,7 @@ class RouteExporter {
       
       // Download
       const safe = name.toLowerCase().replace(/\s+/g,'_').replace(/[^a-z0-9_\-]/g,'');
-      const filename = `${safe||'trasa'}.png`;
+      const filename = `${safe||this.t('export.fileFallback')}.png`;
       const dataURL = canvas.toDataURL('image/png');
       
       const link = document.createElement('a');
@@ -533,9 +549,9 @@ class RouteExporter {
       if (window.showCustomModal) {
         setTimeout(async () => {
           await window.showCustomModal({
-            title: 'Pobieranie zakończone',
-            message: `Obraz PNG trasy "${name}" został pobrany.`,
-            confirmText: 'OK',
+            title: this.t('export.pngDoneTitle'),
+            message: this.t('export.pngDone', { name }),
+            confirmText: this.t('modal.ok'),
             showCancel: false
           });
         }, 500);
@@ -546,7 +562,7 @@ class RouteExporter {
     } catch (error) {
       this.log(`Błąd eksportu PNG: ${error.message}`, 'error');
       console.error('Szczegóły błędu PNG:', error);
-      this.showError('Nie udało się wyeksportować obrazu PNG', error);
+      this.showError(this.t('export.pngFailed'), error);
       throw error;
     }
   }
@@ -572,6 +588,20 @@ class RouteExporter {
     return coords;
   }
 
+  /**
+   * Części trasy jako osobne linie – MultiLineString z app.js ma części rozdzielone
+   * w prawdziwych przerwach szlaku, więc nie łączymy ich prostym odcinkiem
+   * @returns {Array<Array<[number,number]>>}
+   */
+  extractLines(geojson) {
+    const geom = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+    if (!geom) return [];
+    const lines = geom.type === 'LineString' ? [geom.coordinates]
+      : geom.type === 'MultiLineString' ? geom.coordinates
+      : [];
+    return lines.filter(l => Array.isArray(l) && l.length > 0);
+  }
+
   /**
    * Pobiera aktualną lokalizację użytkownika z cache'owaniem
    */
@@ -585,7 +615,7 @@ class RouteExporter {
       }
       
       if (!navigator.geolocation) {
-        reject(new Error('Geolokalizacja nie jest obsługiwana przez tę przeglądarkę'));
+        reject(new Error(this.t('geo.unsupported')));
         return;
       }
       
@@ -604,22 +634,22 @@ class RouteExporter {
           resolve(location);
         },
         (error) => {
-          let errorMessage = 'Błąd geolokalizacji: ';
+          let reason;
           switch(error.code) {
             case error.PERMISSION_DENIED:
-              errorMessage += 'Dostęp do lokalizacji został odrzucony przez użytkownika.';
+              reason = this.t('geo.denied');
               break;
             case error.POSITION_UNAVAILABLE:
-              errorMessage += 'Informacje o lokalizacji są niedostępne.';
+              reason = this.t('geo.unavailable');
               break;
             case error.TIMEOUT:
-              errorMessage += 'Przekroczono limit czasu żądania lokalizacji.';
+              reason = this.t('geo.timeout');
               break;
             default:
-              errorMessage += 'Wystąpił nieznany błąd.';
+              reason = this.t('geo.unknown');
               break;
           }
-          reject(new Error(errorMessage));
+          reject(new Error(this.t('geo.error', { reason })));
         },
         {
           enableHighAccuracy: true,
@@ -632,8 +662,9 @@ class RouteExporter {
 
   /**
    * Generuje zawartość pliku KML
+   * @param {Array<Array<[number,number]>>} lines - części trasy; kilka części = MultiGeometry
    */
-  generateKMLContent(coords, name, userLocation = null, options = {}) {
+  generateKMLContent(lines, name, userLocation = null, options = {}) {
     const { lineColor = this.config.kml.defaultLineColor, 
             lineWidth = this.config.kml.defaultLineWidth } = options;
     
@@ -641,7 +672,7 @@ class RouteExporter {
 <kml xmlns="http://www.opengis.net/kml/2.2">
   <Document>
     <name>${this.escapeXML(name)}</name>
-    <description>Trasa wyeksportowana z Interaktywnej Mapy Turystycznej</description>
+    <description>${this.escapeXML(this.t('export.description'))}</description>
     
     <Style id="trailStyle">
       <LineStyle>
@@ -654,8 +685,8 @@ class RouteExporter {
     if (userLocation && this.isValidLocation(userLocation)) {
       kmlContent += `
     <Placemark>
-      <name>Punkt startowy (Twoja lokalizacja)</name>
-      <description>Lokalizacja użytkownika</description>
+      <name>${this.escapeXML(this.t('kml.userStart'))}</name>
+      <description>${this.escapeXML(this.t('kml.userStartDesc'))}</description>
       <Point>
         <coordinates>${userLocation.longitude},${userLocation.latitude},0</coordinates>
       </Point>
@@ -666,19 +697,22 @@ class RouteExporter {
     kmlContent += `
     <Placemark>
       <name>${this.escapeXML(name)}</name>
-      <description>Główna trasa turystyczna</description>
-      <styleUrl>#trailStyle</styleUrl>
+      <description>${this.escapeXML(this.t('kml.mainRoute'))}</description>
+      <styleUrl>#trailStyle</styleUrl>`;
+
+    // Dodaj wszystkie punkty trasy – każda część jako osobny LineString
+    const lineStrings = lines.map(coords => `
       <LineString>
         <tessellate>1</tessellate>
-        <coordinates>`;
-    
-    // Dodaj wszystkie punkty trasy
-    coords.forEach(coord => {
-      kmlContent += `${coord[0]},${coord[1]},0 `;
-    });
-    
-    kmlContent += `</coordinates>
-      </LineString>
+        <coordinates>${coords.map(coord => `${coord[0]},${coord[1]},0`).join(' ')}</coordinates>
+      </LineString>`).join('');
+    kmlContent += lines.length > 1
+      ? `
+      <MultiGeometry>${lineStrings}
+      </MultiGeometry>`
+      : lineStrings;
+
+    kmlContent += `
     </Placemark>
   </Document>
 </kml>`;
@@ -698,8 +732,8 @@ class RouteExporter {
     const kmlContent = `<?xml version="1.0" encoding="UTF-8"?>
 <kml xmlns="http://www.opengis.net/kml/2.2">
   <Document>
-    <name>Dojazd do szlaku "${this.escapeXML(name)}"</name>
-    <description>Trasa samochodowa z Twojej lokalizacji do początku szlaku</description>
+    <name>${this.escapeXML(this.t('kml.driveTitle', { name }))}</name>
+    <description>${this.escapeXML(this.t('kml.driveDesc'))}</description>
     
     <!-- Style dla trasy samochodowej -->
     <Style id="drivingStyle">
@@ -731,8 +765,8 @@ class RouteExporter {
     
     <!-- Punkty trasy -->
     <Placemark>
-      <name>🚗 Start - Twoja lokalizacja</name>
-      <description>Punkt początkowy dojazdu samochodem</description>
+      <name>${this.escapeXML(this.t('kml.driveStart'))}</name>
+      <description>${this.escapeXML(this.t('kml.driveStartDesc'))}</description>
       <styleUrl>#startPoint</styleUrl>
       <Point>
         <coordinates>${userLocation.longitude},${userLocation.latitude},0</coordinates>
@@ -740,8 +774,8 @@ class RouteExporter {
     </Placemark>
     
     <Placemark>
-      <name>🅿️ Cel - Początek szlaku "${this.escapeXML(name)}"</name>
-      <description>Miejsce docelowe - początek szlaku pieszego</description>
+      <name>${this.escapeXML(this.t('kml.driveTarget', { name }))}</name>
+      <description>${this.escapeXML(this.t('kml.driveTargetDesc'))}</description>
       <styleUrl>#destinationPoint</styleUrl>
       <Point>
         <coordinates>${trailStart[0]},${trailStart[1]},0</coordinates>
@@ -750,8 +784,8 @@ class RouteExporter {
     
     <!-- Trasa samochodowa -->
     <Placemark>
-      <name>Dojazd samochodem do szlaku "${this.escapeXML(name)}"</name>
-      <description>Użyj nawigacji samochodowej do dojazdu. Ta linia jest orientacyjna - skorzystaj z rzeczywistej nawigacji GPS.</description>
+      <name>${this.escapeXML(this.t('kml.driveLine', { name }))}</name>
+      <description>${this.escapeXML(this.t('kml.driveLineDesc'))}</description>
       <styleUrl>#drivingStyle</styleUrl>
       <LineString>
         <tessellate>1</tessellate>
@@ -770,27 +804,32 @@ class RouteExporter {
 
   /**
    * Generuje zawartość pliku GPX
+   * @param {Array<Array<[number,number]>>} lines - części trasy; każda to osobny <trkseg>
    */
-  generateGPXContent(coords, name, options = {}) {
+  generateGPXContent(lines, name, options = {}) {
     const { trackName = this.config.gpx.trackName,
-            trackDescription = this.config.gpx.trackDescription } = options;
+            trackDescription = this.config.gpx.trackDescription || this.t('export.description') } = options;
     
     let gpxContent = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Interaktywna Mapa Turystyczna">
+<gpx version="1.1" creator="${this.escapeXML(this.t('app.name'))}">
   <trk>
     <name>${this.escapeXML(name)}</name>
-    <desc>${this.escapeXML(trackDescription)}</desc>
-    <trkseg>`;
+    <desc>${this.escapeXML(trackDescription)}</desc>`;
     
-    coords.forEach(coord => {
+    lines.forEach(coords => {
       gpxContent += `
+    <trkseg>`;
+      coords.forEach(coord => {
+        gpxContent += `
       <trkpt lat="${coord[1]}" lon="${coord[0]}">
         <ele>0</ele>
       </trkpt>`;
+      });
+      gpxContent += `
+    </trkseg>`;
     });
     
     gpxContent += `
-    </trkseg>
   </trk>
 </gpx>`;
     
@@ -811,10 +850,10 @@ class RouteExporter {
 
       setTimeout(async () => {
         const openInGoogleMaps = await modalFn({
-          title: 'Otworzyć w Google Maps?',
-          message: `Plik KML został pobrany. Czy chcesz również otworzyć tę trasę w Google Maps?`,
-          confirmText: 'Otwórz w Google Maps',
-          cancelText: 'Nie, dziękuję'
+          title: this.t('gmaps.askTitle'),
+          message: this.t('gmaps.askMessage'),
+          confirmText: this.t('gmaps.open'),
+          cancelText: this.t('gmaps.decline')
         });
         
         if (openInGoogleMaps) {
@@ -834,7 +873,7 @@ class RouteExporter {
     try {
       const coords = this.extractCoordinates(geojson);
       if (!coords || coords.length === 0) {
-        throw new Error("Nie udało się znaleźć współrzędnych trasy");
+        throw new Error(this.t('gmaps.noCoords'));
       }
       
       const trailStartPoint = coords[0];
@@ -872,7 +911,7 @@ class RouteExporter {
       
     } catch (error) {
       console.error("Błąd podczas otwierania Google Maps:", error);
-      alert("Nie udało się otworzyć trasy w Google Maps.");
+      alert(this.t('gmaps.failed'));
     }
   }
 
@@ -888,33 +927,23 @@ class RouteExporter {
       
       switch (routeType) {
         case 'driving-only':
-          message = `🚗 Google Maps pokaże dojazd samochodem do szlaku "${name}":
-
-📍 Start: Twoja lokalizacja
-🅿️ Cel: Początek szlaku
-
-Nawigacja samochodowa do miejsca, gdzie możesz rozpocząć wędrówkę pieszą.`;
+          message = this.t('gmaps.drivingOnly', { name });
           break;
           
         case 'multimodal':
-          message = `Google Maps pokaże trasę z 3 punktami:
-📍 Start: Twoja lokalizacja
-🚗 Parking: Początek szlaku "${name}"
-🎯 Meta: Koniec szlaku
-
-Google automatycznie zasugeruje najlepszy transport dla każdego odcinka.`;
+          message = this.t('gmaps.multimodal', { name });
           break;
           
         case 'walking-only':
         default:
-          message = `Otwarto trasę pieszą "${name}" w Google Maps.`;
+          message = this.t('gmaps.walkingOnly', { name });
           break;
       }
       
       modalFn({
-        title: 'Trasa otwarta w Google Maps',
+        title: this.t('gmaps.openedTitle'),
         message: message,
-        confirmText: 'OK',
+        confirmText: this.t('modal.ok'),
         cancelText: null
       });
     }, 500);
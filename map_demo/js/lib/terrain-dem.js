@@ -0,0 +1,94 @@
+/**
+ * Terrain DEM
+ * Wysokości z kafli Mapbox Terrain-RGB – tego samego DEM, którego mapa używa do terenu 3D
+ * (źródło `mapbox-dem`). W odróżnieniu od map.queryTerrainElevation() nie zależy od tego,
+ * które kafle akurat są wczytane pod kamerą, więc można odczytać cały szlak naraz.
+ *
+ * Kafle są pobierane na stałym zoomie i trzymane w pamięci przez czas życia strony.
+ */
+
+// map_demo/js/lib/terrain-dem.js
+window.terrainDem = window.terrainDem || {};
+
+const DEM_ZOOM = 13;        // ~12 m/px na szerokości Wałbrzycha
+const DEM_TILE_SIZE = 256;
+const demTiles = new Map(); // "z/x/y" → Promise<Uint8ClampedArray|null>
+
+function demTileUrl(z, x, y) {
+  const token = window.mapboxgl?.accessToken || window.CONFIG?.MAPBOX_TOKEN || '';
+  return `https://api.mapbox.com/v4/mapbox.terrain-rgb/${z}/${x}/${y}.pngraw?access_token=${token}`;
+}
+
+// Pozycja w układzie kafli (część całkowita = kafel, ułamek = piksel w kaflu)
+function demTileCoords(lng, lat, z) {
+  const n = Math.pow(2, z);
+  const rad = lat * Math.PI / 180;
+  return {
+    x: (lng + 180) / 360 * n,
+    y: (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n
+  };
+}
+
+async function fetchDemTile(z, x, y) {
+  const res = await fetch(demTileUrl(z, x, y));
+  if (!res.ok) throw new Error(`HTTP ${res.status} for DEM tile ${z}/${x}/${y}`);
+  const bitmap = await createImageBitmap(await res.blob());
+  const canvas = document.createElement('canvas');
+  canvas.width = DEM_TILE_SIZE;
+  canvas.height = DEM_TILE_SIZE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, DEM_TILE_SIZE, DEM_TILE_SIZE);
+  return ctx.getImageData(0, 0, DEM_TILE_SIZE, DEM_TILE_SIZE).data;
+}
+
+function loadDemTile(z, x, y) {
+  const key = `${z}/${x}/${y}`;
+  if (!demTiles.has(key)) {
+    demTiles.set(key, fetchDemTile(z, x, y).catch(err => {
+      console.warn('[terrainDem] tile failed:', key, err);
+      demTiles.delete(key); // spróbuj ponownie przy następnym odczycie
+      return null;
+    }));
+  }
+  return demTiles.get(key);
+}
+
+// Terrain-RGB: wysokość = -10000 + (R·256² + G·256 + B) · 0.1
+function demPixel(data, px, py) {
+  const i = (py * DEM_TILE_SIZE + px) * 4;
+  return -10000 + (data[i] * 65536 + data[i + 1] * 256 + data[i + 2]) * 0.1;
+}
+
+// Interpolacja dwuliniowa w obrębie jednego kafla (na krawędzi – najbliższy piksel)
+function demSample(data, fx, fy) {
+  const x = Math.min(DEM_TILE_SIZE - 1.001, Math.max(0, fx * DEM_TILE_SIZE - 0.5));
+  const y = Math.min(DEM_TILE_SIZE - 1.001, Math.max(0, fy * DEM_TILE_SIZE - 0.5));
+  const x0 = Math.floor(x), y0 = Math.floor(y);
+  const tx = x - x0, ty = y - y0;
+  const top = demPixel(data, x0, y0) * (1 - tx) + demPixel(data, x0 + 1, y0) * tx;
+  const bottom = demPixel(data, x0, y0 + 1) * (1 - tx) + demPixel(data, x0 + 1, y0 + 1) * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Wysokości (m n.p.m.) dla listy punktów; kafle są pobierane równolegle i tylko raz.
+ * Punkty, dla których nie udało się pobrać kafla, dostają null.
+ * @param {Array<[number,number]>} coords - [lng, lat]
+ * @returns {Promise<Array<number|null>>}
+ */
+window.terrainDem.elevations = async function elevations(coords) {
+  const pos = (coords || []).map(c => demTileCoords(c[0], c[1], DEM_ZOOM));
+  const tiles = new Map();
+  pos.forEach(p => {
+    const key = `${Math.floor(p.x)}/${Math.floor(p.y)}`;
+    if (!tiles.has(key)) tiles.set(key, loadDemTile(DEM_ZOOM, Math.floor(p.x), Math.floor(p.y)));
+  });
+  const loaded = new Map();
+  await Promise.all([...tiles].map(async ([key, promise]) => loaded.set(key, await promise)));
+
+  return pos.map(p => {
+    const tx = Math.floor(p.x), ty = Math.floor(p.y);
+    const data = loaded.get(`${tx}/${ty}`);
+    return data ? Math.round(demSample(data, p.x - tx, p.y - ty) * 10) / 10 : null;
+  });
+};
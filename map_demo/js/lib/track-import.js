@@ -0,0 +1,170 @@
+/**
+ * Track Import
+ * Parsuje pliki użytkownika (GPX, KML, GeoJSON) do obiektów GeoJSON Feature
+ * z geometrią LineString/MultiLineString – tych samych, których używa lista szlaków.
+ */
+
+// map_demo/js/lib/track-import.js
+window.trackImport = window.trackImport || {};
+
+const TRACK_IMPORT_FORMATS = ['gpx', 'kml', 'geojson'];
+
+/**
+ * Rozpoznaje format po rozszerzeniu, a w razie wątpliwości po treści.
+ * @param {string} filename
+ * @param {string} text
+ * @returns {'gpx'|'kml'|'geojson'|null}
+ */
+window.trackImport.detectFormat = function detectFormat(filename, text) {
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (ext === 'json') return 'geojson';
+  if (TRACK_IMPORT_FORMATS.includes(ext)) return ext;
+
+  const head = String(text || '').trimStart().slice(0, 512);
+  if (head.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/i.test(head)) return 'gpx';
+  if (/<kml[\s>]/i.test(head)) return 'kml';
+  return null;
+};
+
+// Punkt [lon, lat] ze skończonymi liczbami w zakresie współrzędnych geograficznych
+function isLonLat(c) {
+  return Array.isArray(c) && typeof c[0] === 'number' && typeof c[1] === 'number' &&
+    Number.isFinite(c[0]) && Number.isFinite(c[1]) &&
+    c[0] >= -180 && c[0] <= 180 && c[1] >= -90 && c[1] <= 90;
+}
+
+function importLineFeature(lines, name, format) {
+  const valid = lines.filter(l => l.length >= 2);
+  if (!valid.length) return null;
+  return {
+    type: 'Feature',
+    geometry: valid.length === 1
+      ? { type: 'LineString', coordinates: valid[0] }
+      : { type: 'MultiLineString', coordinates: valid },
+    properties: { name, _import: format }
+  };
+}
+
+function childText(el, tag) {
+  const n = el.getElementsByTagNameNS('*', tag)[0];
+  return n ? n.textContent.trim() : '';
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error(window.i18n.t('import.badXml'));
+  }
+  return doc;
+}
+
+function gpxPoints(parent, tag) {
+  return [...parent.getElementsByTagNameNS('*', tag)]
+    .map(pt => [parseFloat(pt.getAttribute('lon')), parseFloat(pt.getAttribute('lat'))])
+    .filter(isLonLat);
+}
+
+function parseGpx(text, fallbackName) {
+  const doc = parseXml(text);
+  const features = [];
+
+  // Ślady (trk) – każdy segment to osobna część MultiLineString
+  [...doc.getElementsByTagNameNS('*', 'trk')].forEach((trk, i) => {
+    const segs = [...trk.getElementsByTagNameNS('*', 'trkseg')].map(seg => gpxPoints(seg, 'trkpt'));
+    const f = importLineFeature(segs, childText(trk, 'name') || `${fallbackName} ${i + 1}`, 'gpx');
+    if (f) features.push(f);
+  });
+
+  // Trasy (rte)
+  [...doc.getElementsByTagNameNS('*', 'rte')].forEach((rte, i) => {
+    const f = importLineFeature([gpxPoints(rte, 'rtept')], childText(rte, 'name') || `${fallbackName} ${i + 1}`, 'gpx');
+    if (f) features.push(f);
+  });
+
+  return features;
+}
+
+function kmlCoordinates(text) {
+  return String(text || '').trim().split(/\s+/)
+    .map(t => t.split(',').map(Number))
+    .filter(isLonLat)
+    .map(c => [c[0], c[1]]);
+}
+
+function parseKml(text, fallbackName) {
+  const doc = parseXml(text);
+  const features = [];
+
+  [...doc.getElementsByTagNameNS('*', 'Placemark')].forEach((pm, i) => {
+    const lines = [...pm.getElementsByTagNameNS('*', 'LineString')]
+      .map(ls => kmlCoordinates(childText(ls, 'coordinates')));
+
+    // gx:Track – współrzędne jako "lng lat alt"
+    [...pm.getElementsByTagNameNS('*', 'Track')].forEach(track => {
+      const coords = [...track.getElementsByTagNameNS('*', 'coord')]
+        .map(c => c.textContent.trim().split(/\s+/).map(Number))
+        .filter(isLonLat)
+        .map(c => [c[0], c[1]]);
+      lines.push(coords);
+    });
+
+    const f = importLineFeature(lines, childText(pm, 'name') || `${fallbackName} ${i + 1}`, 'kml');
+    if (f) features.push(f);
+  });
+
+  return features;
+}
+
+function parseGeoJson(text, fallbackName) {
+  let data;
+  try { data = JSON.parse(text); }
+  catch { throw new Error(window.i18n.t('import.badJson')); }
+
+  const list = data.type === 'FeatureCollection' ? (data.features || [])
+    : data.type === 'Feature' ? [data]
+    : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  return list
+    .filter(f => f && f.geometry && (f.geometry.type === 'LineString' || f.geometry.type === 'MultiLineString'))
+    .map((f, i) => {
+      const lines = f.geometry.type === 'LineString' ? [f.geometry.coordinates] : f.geometry.coordinates;
+      // Nieprawidłowe wierzchołki (null, tekst, poza zakresem) są pomijane
+      const clean = (Array.isArray(lines) ? lines : [])
+        .map(l => (Array.isArray(l) ? l : []).filter(isLonLat).map(c => [c[0], c[1]]));
+      const name = f.properties && typeof f.properties.name === 'string' && f.properties.name.trim();
+      const out = importLineFeature(clean, name || `${fallbackName} ${i + 1}`, 'geojson');
+      if (out && f.properties && f.properties['osmc:symbol']) out.properties['osmc:symbol'] = f.properties['osmc:symbol'];
+      return out;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parsuje treść pliku do listy obiektów Feature (tylko linie; punkty są pomijane).
+ * @param {string} text
+ * @param {string} filename
+ * @returns {Array<Object>}
+ */
+window.trackImport.parseText = function parseText(text, filename) {
+  const format = window.trackImport.detectFormat(filename, text);
+  const baseName = String(filename || window.i18n.t('import.fallbackName')).replace(/\.[^.]+$/, '');
+  switch (format) {
+    case 'gpx': return parseGpx(text, baseName);
+    case 'kml': return parseKml(text, baseName);
+    case 'geojson': return parseGeoJson(text, baseName);
+    default: throw new Error(window.i18n.t('import.unsupported', { file: filename }));
+  }
+};
+
+/**
+ * Wczytuje plik (File z drag&drop lub <input type="file">) i parsuje go.
+ * @param {File} file
+ * @returns {Promise<Array<Object>>}
+ */
+window.trackImport.parseFile = async function parseFile(file) {
+  const text = await file.text();
+  const features = window.trackImport.parseText(text, file.name);
+  if (!features.length) throw new Error(window.i18n.t('import.noLines', { file: file.name }));
+  return features;
+};
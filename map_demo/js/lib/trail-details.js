@@ -0,0 +1,135 @@
+/**
+ * Trail Details
+ * Panel szczegółów aktywnego szlaku: atrybuty relacji OSM (skąd/dokąd, przez, operator,
+ * sieć, opis, uwagi, linki) w czytelnej formie, w języku interfejsu.
+ *
+ * Wartości pochodzą z danych OSM, więc panel jest budowany przez DOM (textContent),
+ * a linki zewnętrzne przechodzą przez safeUrl().
+ */
+
+// map_demo/js/lib/trail-details.js
+window.trailDetails = window.trailDetails || {};
+
+// Etykiety i nazwy sieci pochodzą z katalogów tłumaczeń (klucze details.* i network.*)
+const detailLabel = key => window.i18n.t(`details.${key}`);
+
+const DETAIL_NETWORKS = ['iwn', 'nwn', 'rwn', 'lwn'];
+
+// Przyjmujemy tylko http(s); adresy bez schematu ("www.…") uzupełniamy o https://
+function safeUrl(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(raw) ? raw : `https://${raw}`);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function detailLink(href, text) {
+  const a = document.createElement('a');
+  a.href = href;
+  a.textContent = text;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer nofollow';
+  return a;
+}
+
+// "pl:Szlak Zamków Piastowskich" → link do pl.wikipedia.org
+function wikipediaLink(value) {
+  const m = String(value || '').match(/^([a-z-]{2,12}):(.+)$/i);
+  if (!m) return null;
+  const title = m[2].trim();
+  const href = `https://${m[1].toLowerCase()}.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`;
+  return detailLink(href, title);
+}
+
+function wikidataLink(value) {
+  const id = String(value || '').trim();
+  if (!/^Q\d+$/.test(id)) return null;
+  return detailLink(`https://www.wikidata.org/wiki/${id}`, id);
+}
+
+function formatSurveyDates(value) {
+  return String(value || '').split(';').map(s => s.trim()).filter(Boolean).map(s => {
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(`${s}T00:00:00`) : null;
+    return d && !isNaN(d) ? d.toLocaleDateString(window.i18n.locale(), { day: 'numeric', month: 'long', year: 'numeric' }) : s;
+  }).join(', ');
+}
+
+/**
+ * Buduje listę pól do wyświetlenia (tylko te, które szlak faktycznie ma).
+ * @param {Object} props - properties szlaku
+ * @returns {Array<{key:string, label:string, value:(string|Node)}>}
+ */
+window.trailDetails.fields = function fields(props) {
+  const p = props || {};
+  const out = [];
+  const add = (key, value) => {
+    if (value == null || value === '') return;
+    out.push({ key, label: detailLabel(key), value });
+  };
+
+  add('from', p.from);
+  add('to', p.to);
+  add('via', p.via ? String(p.via).split(';').map(s => s.trim()).filter(Boolean).join(' → ') : null);
+  if (p.roundtrip === 'yes' || p.roundtrip === 'no') add('roundtrip', detailLabel(p.roundtrip === 'yes' ? 'yes' : 'no'));
+  add('distance', p.distance ? (/[a-z]/i.test(p.distance) ? p.distance : `${p.distance} km`) : null);
+  add('operator', p.operator);
+  add('network', p.network ? (DETAIL_NETWORKS.includes(p.network) ? window.i18n.t(`network.${p.network}`) : p.network) : null);
+  add('description', p.description);
+  add('note', p.note);
+  add('surveyDate', p['survey:date'] ? formatSurveyDates(p['survey:date']) : null);
+
+  const website = safeUrl(p.website);
+  if (website) add('website', detailLink(website, new URL(website).hostname.replace(/^www\./, '')));
+  add('wikipedia', wikipediaLink(p.wikipedia));
+  add('wikidata', wikidataLink(p.wikidata));
+
+  const rel = String(p['@id'] || '').match(/^(relation|way)\/(\d+)$/);
+  if (rel) add('osm', detailLink(`https://www.openstreetmap.org/${rel[1]}/${rel[2]}`, detailLabel('osmLink')));
+
+  return out;
+};
+
+/**
+ * Tworzy rozwijany panel <details> z atrybutami szlaku.
+ * @param {Object} feature - GeoJSON Feature
+ * @param {{ open?: boolean, onToggle?: function(boolean) }} [opts]
+ * @returns {HTMLDetailsElement}
+ */
+window.trailDetails.render = function render(feature, { open = true, onToggle = null } = {}) {
+  const details = document.createElement('details');
+  details.className = 'trail-details';
+  details.open = !!open;
+
+  const summary = document.createElement('summary');
+  summary.textContent = detailLabel('title');
+  details.appendChild(summary);
+
+  const rows = window.trailDetails.fields(feature?.properties);
+  if (!rows.length) {
+    const empty = document.createElement('p');
+    empty.className = 'trail-details-empty';
+    empty.textContent = detailLabel('empty');
+    details.appendChild(empty);
+  } else {
+    const dl = document.createElement('dl');
+    rows.forEach(r => {
+      const dt = document.createElement('dt');
+      dt.textContent = r.label;
+      const dd = document.createElement('dd');
+      dd.dataset.field = r.key;
+      if (r.value instanceof Node) dd.appendChild(r.value);
+      else dd.textContent = String(r.value);
+      dl.append(dt, dd);
+    });
+    details.appendChild(dl);
+  }
+
+  // Klik w panelu nie może uruchamiać animacji szlaku (delegacja na #list)
+  details.addEventListener('click', e => e.stopPropagation());
+  if (onToggle) details.addEventListener('toggle', () => onToggle(details.open));
+  return details;
+};
@@ -423,4 +423,9 @@ function getTrailImage(trailName) {
   
   // Zwracamy ścieżkę do zdjęcia lub obrazu domyślnego, jeśli nie istnieje
   return `assets/images/trails/${slug}.png`;
-}
\ No newline at end of file
+}
+
+// Eksport dla Node (narzędzie tools/lint-dataset.js); w przeglądarce funkcja jest globalna
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getTrailImage };
+}
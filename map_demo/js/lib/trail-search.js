@@ -0,0 +1,200 @@
+/**
+ * Trail Search
+ * Wyszukiwarka szlaków: nazwa (także nazwy w innych językach), skąd/dokąd/przez i opis.
+ * Porównuje teksty bez polskich znaków i wielkości liter („walbrzych” = „Wałbrzych”),
+ * toleruje literówki (odległość edycyjna 1–2 dla dłuższych słów) i zwraca wyniki
+ * posortowane wg trafności wraz z fragmentami nazwy do podświetlenia.
+ *
+ * Działa w przeglądarce i w Node (bez zależności od DOM).
+ */
+
+// Pola przeszukiwane i ich waga w ocenie trafności
+const SEARCH_FIELD_WEIGHTS = {
+  name: 10,       // nazwa wyświetlana na liście
+  names: 8,       // name, name:<język>, alt_name
+  from: 6,
+  to: 6,
+  via: 4,
+  description: 2
+};
+const SEARCH_FOLD_CHARS = { 'ł': 'l', 'đ': 'd', 'ø': 'o', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe' };
+const SEARCH_PHRASE_BONUS = 5;
+
+/**
+ * Tekst bez znaków diakrytycznych, małymi literami, z mapą pozycji do oryginału.
+ * @param {string} str
+ * @returns {{ text: string, starts: number[], ends: number[] }} - dla znaku i wyniku: [starts[i], ends[i]) w oryginale
+ */
+function foldWithMap(str) {
+  const s = String(str ?? '');
+  let text = '';
+  const starts = [], ends = [];
+  let i = 0;
+  for (const ch of s) {
+    const lower = ch.toLowerCase();
+    const folded = SEARCH_FOLD_CHARS[lower] ?? lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    for (const out of folded) {
+      text += out;
+      starts.push(i);
+      ends.push(i + ch.length);
+    }
+    i += ch.length;
+  }
+  return { text, starts, ends };
+}
+
+/** Tekst bez znaków diakrytycznych, małymi literami („Wałbrzych” → „walbrzych”). */
+function foldText(str) {
+  return foldWithMap(str).text;
+}
+
+// Słowa złożone z liter/cyfr wraz z pozycją w tekście
+function searchWords(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(m => ({ word: m[0], index: m.index }));
+}
+
+// Odległość edycyjna z przestawieniem sąsiednich liter (OSA); przerywa po przekroczeniu limitu
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur.push(v);
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > limit) return limit + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function typoLimit(token) {
+  return token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Najlepsze dopasowanie słowa zapytania w polu.
+ * Jakość: całe słowo 1, początek słowa 0.9, wnętrze słowa 0.7, literówka 0.5 / 0.35.
+ * @returns {{ quality: number, start: number, end: number } | null} - pozycje w tekście złożonym
+ */
+function matchToken(token, field) {
+  let best = null;
+  const consider = (quality, start, end) => {
+    if (!best || quality > best.quality) best = { quality, start, end };
+  };
+  for (const { word, index } of field.words) {
+    if (word === token) consider(1, index, index + word.length);
+    else if (word.startsWith(token)) consider(0.9, index, index + token.length);
+  }
+  if (best) return best;
+
+  const at = field.text.indexOf(token);
+  if (at !== -1) return { quality: 0.7, start: at, end: at + token.length };
+
+  const limit = typoLimit(token);
+  if (!limit) return null;
+  for (const { word, index } of field.words) {
+    // Całe słowo albo jego początek (zapytanie wpisane tylko częściowo)
+    const whole = editDistance(token, word, limit);
+    const prefix = word.length > token.length ? editDistance(token, word.slice(0, token.length), limit) : limit + 1;
+    const d = Math.min(whole, prefix);
+    if (d <= limit) consider(d === 1 ? 0.5 : 0.35, index, index + (whole <= prefix ? word.length : token.length));
+  }
+  return best;
+}
+
+/**
+ * Przygotowuje szlaki do wyszukiwania.
+ * @param {Array<{ id: string, name: string, props: Object }>} entries - name: nazwa wyświetlana na liście
+ * @returns {Array<Object>} indeks dla searchTrails()
+ */
+function createSearchIndex(entries) {
+  return (entries || []).map(({ id, name, props }) => {
+    const p = props || {};
+    const fields = [['name', name]];
+    const names = new Set([p.name, p.alt_name, ...Object.keys(p).filter(k => /^name:/.test(k)).map(k => p[k])]);
+    names.delete(name);
+    names.forEach(n => fields.push(['names', n]));
+    ['from', 'to', 'via'].forEach(k => fields.push([k, p[k]]));
+    Object.keys(p).filter(k => k === 'description' || /^description:/.test(k)).forEach(k => fields.push(['description', p[k]]));
+    return {
+      id: String(id),
+      name,
+      fields: fields
+        .filter(([, value]) => value != null && String(value).trim())
+        .map(([field, value]) => {
+          const folded = foldWithMap(value);
+          return { field, weight: SEARCH_FIELD_WEIGHTS[field], text: folded.text, starts: folded.starts, ends: folded.ends, words: searchWords(folded.text) };
+        })
+    };
+  });
+}
+
+/**
+ * Szlaki pasujące do zapytania, od najtrafniejszego. Każde słowo zapytania musi się znaleźć
+ * w którymś z pól (dokładnie, jako początek/fragment słowa albo z literówką).
+ * @param {Array<Object>} index - wynik createSearchIndex()
+ * @param {string} query
+ * @returns {Array<{ id: string, score: number, highlights: Array<[number, number]> }>} - highlights: zakresy w nazwie wyświetlanej
+ */
+function searchTrails(index, query) {
+  const phrase = foldText(query).trim();
+  const tokens = searchWords(phrase).map(t => t.word);
+  if (!tokens.length) return [];
+
+  const results = [];
+  for (const doc of index) {
+    let score = 0;
+    const highlights = [];
+    let matchedAll = true;
+    for (const token of tokens) {
+      let best = null;
+      for (const field of doc.fields) {
+        const m = matchToken(token, field);
+        if (m && (!best || m.quality * field.weight > best.score)) best = { score: m.quality * field.weight, field, m };
+      }
+      if (!best) { matchedAll = false; break; }
+      score += best.score;
+      if (best.field.field === 'name') {
+        highlights.push([best.field.starts[best.m.start], best.field.ends[best.m.end - 1]]);
+      }
+    }
+    if (!matchedAll) continue;
+    const nameField = doc.fields.find(f => f.field === 'name');
+    if (tokens.length > 1 && nameField?.text.includes(phrase)) score += SEARCH_PHRASE_BONUS;
+    results.push({ id: doc.id, score, highlights: mergeRanges(highlights) });
+  }
+  return results.sort((a, b) => b.score - a.score);
+}
+
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const r of sorted) {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([r[0], r[1]]);
+  }
+  return out;
+}
+
+const trailSearch = {
+  foldText,
+  editDistance,
+  createSearchIndex,
+  searchTrails
+};
+
+// Eksportuj dla przeglądarki i Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = trailSearch;
+} else {
+  window.trailSearch = trailSearch;
+}
@@ -0,0 +1,99 @@
+/**
+ * Trail Stats
+ * Statystyki wysokościowe każdego szlaku: suma podejść/zejść, najwyższy punkt i największe
+ * nachylenie. Liczone leniwie w przeglądarce z DEM (terrainDem) – szlak po szlaku, w tle –
+ * i zapamiętywane w localStorage, więc przy kolejnej wizycie są dostępne od razu.
+ *
+ * Wpis w pamięci zawiera sygnaturę geometrii; zmiana przebiegu w zbiorze unieważnia wynik.
+ */
+
+// map_demo/js/lib/trail-stats.js
+window.trailStats = window.trailStats || {};
+
+const TRAIL_STATS_KEY = 'mm_trail_stats_v1';
+const STATS_MAX_SAMPLES = 400;
+const STATS_MIN_STEP_METERS = 20;
+
+let statsStore = null;
+let statsPass = 0;
+
+function loadStatsStore() {
+  if (statsStore) return statsStore;
+  try { statsStore = JSON.parse(localStorage.getItem(TRAIL_STATS_KEY) || '{}') || {}; }
+  catch { statsStore = {}; }
+  return statsStore;
+}
+
+function saveStatsStore() {
+  try { localStorage.setItem(TRAIL_STATS_KEY, JSON.stringify(statsStore || {})); }
+  catch (e) { console.warn('[trailStats] cannot save cache:', e); }
+}
+
+// Sygnatura przebiegu: liczba punktów, końce i długość (zaokrąglone)
+function statsSignature(coords) {
+  const r = c => `${c[0].toFixed(5)},${c[1].toFixed(5)}`;
+  const km = window.trailUtils.lengthOfLineStringKm(coords);
+  return `${coords.length}|${r(coords[0])}|${r(coords[coords.length - 1])}|${km.toFixed(3)}`;
+}
+
+/**
+ * Liczy statystyki dla przebiegu (bez pamięci podręcznej).
+ * @param {Array<[number,number]>} coords
+ * @returns {Promise<{ ascent:number, descent:number, maxEle:number, maxGrade:(number|null) } | null>}
+ */
+window.trailStats.compute = async function compute(coords) {
+  const lengthM = window.trailUtils.lengthOfLineStringKm(coords) * 1000;
+  const step = Math.max(STATS_MIN_STEP_METERS, lengthM / STATS_MAX_SAMPLES);
+  const points = window.trailUtils.resampleLine(coords, step);
+  const elevations = await window.terrainDem.elevations(points.map(p => p.coord));
+  // Bez kompletu wysokości wynik byłby zaniżony – nie zapisujemy go
+  if (elevations.some(e => e == null)) return null;
+  const st = window.trailUtils.elevationStats(elevations);
+  if (!st) return null;
+  const grade = window.trailUtils.maxGrade(points, elevations);
+  return {
+    ascent: Math.round(st.ascent),
+    descent: Math.round(st.descent),
+    maxEle: Math.round(st.max),
+    maxGrade: grade == null ? null : Math.round(grade)
+  };
+};
+
+/**
+ * Zapamiętane statystyki szlaku albo null (brak lub nieaktualne).
+ * @param {string} key - identyfikator szlaku (`@id`, id importu…)
+ * @param {Array<[number,number]>} coords
+ */
+window.trailStats.get = function get(key, coords) {
+  const entry = loadStatsStore()[key];
+  if (!entry || !coords?.length || entry.sig !== statsSignature(coords)) return null;
+  return { ascent: entry.ascent, descent: entry.descent, maxEle: entry.maxEle, maxGrade: entry.maxGrade };
+};
+
+/**
+ * Uzupełnia statystyki listy szlaków. Zapamiętane wyniki są zgłaszane od razu (synchronicznie),
+ * brakujące – po kolei w tle. Nowe wywołanie przerywa poprzedni przebieg.
+ * @param {Array<{ key:string, coords:Array<[number,number]> }>} entries
+ * @param {function(string, Object)} onStats - (key, stats) dla każdego szlaku ze statystykami
+ * @returns {Promise<void>}
+ */
+window.trailStats.ensure = async function ensure(entries, onStats) {
+  const pass = ++statsPass;
+  const missing = [];
+  for (const e of entries) {
+    const cached = window.trailStats.get(e.key, e.coords);
+    if (cached) onStats(e.key, cached);
+    else if (e.coords?.length > 1) missing.push(e);
+  }
+
+  for (const e of missing) {
+    if (pass !== statsPass) return;
+    let stats = null;
+    try { stats = await window.trailStats.compute(e.coords); }
+    catch (err) { console.warn('[trailStats] failed:', e.key, err); }
+    if (pass !== statsPass || !stats) continue;
+    loadStatsStore()[e.key] = { ...stats, sig: statsSignature(e.coords) };
+    saveStatsStore();
+    onStats(e.key, stats);
+  }
+};
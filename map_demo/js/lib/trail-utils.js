@@ -0,0 +1,516 @@
+/**
+ * Trail Utils
+ * Funkcje wspólne dla aplikacji i narzędzi Node (import z OSM, kontrola danych),
+ * żeby właściwości szlaków były liczone w jednym miejscu.
+ */
+
+const OSMC_COLORS = ['blue', 'green', 'yellow'];
+
+/**
+ * Sprowadza symbol szlaku (`osmc:symbol`, ew. zapisane `_osmc`) do jednego z kolorów mapy.
+ * Wszystko, co nie jest niebieskie/zielone/żółte, rysujemy jako czerwone.
+ * @param {Object} p - properties szlaku
+ * @returns {'blue'|'green'|'yellow'|'red'}
+ */
+function featureOsmc(p) {
+  const v = (p && (p['osmc:symbol'] || p._osmc)) || '';
+  if (typeof v !== 'string') return 'red';
+  return OSMC_COLORS.find(c => v.startsWith(c)) || 'red';
+}
+
+// === DŁUGOŚCI I ŁĄCZENIE ODCINKÓW ===
+
+function haversineMeters(a, b) {
+  const toRad = d => d * Math.PI / 180;
+  const R = 6371000; // m
+  const [lng1, lat1] = a;
+  const [lng2, lat2] = b;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const s1 = Math.sin(dLat / 2), s2 = Math.sin(dLng / 2);
+  const aa = s1 * s1 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * s2 * s2;
+  return 2 * R * Math.asin(Math.sqrt(aa));
+}
+
+function lengthOfLineStringKm(coords) {
+  let m = 0;
+  for (let i = 1; i < coords.length; i++) {
+    m += haversineMeters(coords[i - 1], coords[i]);
+  }
+  return m / 1000;
+}
+
+// Przerwy do tej odległości traktujemy jak nieciągłość danych i po prostu je domykamy
+const STITCH_BRIDGE_METERS = 50;
+const stitchCache = new WeakMap();
+
+/**
+ * Łączy części MultiLineString w jedną ciągłą ścieżkę.
+ * Zaczyna od najdłuższej części i dokleja do jej końców kolejne części o najbliższym
+ * końcu (odwracając je w razie potrzeby). Przerwy dłuższe niż `bridgeMeters` są raportowane.
+ * @param {Array<Array<[number,number]>>} lines
+ * @param {{bridgeMeters?: number}} [opts]
+ * @returns {{ coords: Array<[number,number]>, gaps: Array<{from:[number,number], to:[number,number], meters:number}> }}
+ */
+function stitchLines(lines, { bridgeMeters = STITCH_BRIDGE_METERS } = {}) {
+  const parts = (lines || []).filter(l => Array.isArray(l) && l.length >= 2);
+  if (!parts.length) return { coords: [], gaps: [] };
+
+  let startIdx = 0, bestLen = -1;
+  parts.forEach((l, i) => {
+    const len = lengthOfLineStringKm(l);
+    if (len > bestLen) { bestLen = len; startIdx = i; }
+  });
+
+  let coords = parts[startIdx].slice();
+  const rest = parts.filter((_, i) => i !== startIdx);
+  const gaps = [];
+
+  while (rest.length) {
+    const head = coords[0], tail = coords[coords.length - 1];
+    let best = null;
+    rest.forEach((l, i) => {
+      const first = l[0], last = l[l.length - 1];
+      [
+        { i, atTail: true, reverse: false, d: haversineMeters(tail, first) },
+        { i, atTail: true, reverse: true, d: haversineMeters(tail, last) },
+        { i, atTail: false, reverse: true, d: haversineMeters(head, first) },
+        { i, atTail: false, reverse: false, d: haversineMeters(head, last) }
+      ].forEach(c => { if (!best || c.d < best.d) best = c; });
+    });
+
+    let part = rest.splice(best.i, 1)[0];
+    if (best.reverse) part = part.slice().reverse();
+    if (best.atTail) {
+      if (best.d > bridgeMeters) gaps.push({ from: tail, to: part[0], meters: best.d });
+      coords = coords.concat(best.d === 0 ? part.slice(1) : part);
+    } else {
+      if (best.d > bridgeMeters) gaps.push({ from: part[part.length - 1], to: head, meters: best.d });
+      coords = (best.d === 0 ? part.slice(0, -1) : part).concat(coords);
+    }
+  }
+
+  return { coords, gaps };
+}
+
+/**
+ * Ciągła ścieżka dla geometrii szlaku (LineString bez zmian, MultiLineString zszyty).
+ * Wynik jest zapamiętywany per obiekt geometrii.
+ * @param {Object} geometry
+ * @returns {{ coords: Array<[number,number]>, gaps: Array, lengthKm: number } | null}
+ */
+function stitchGeometry(geometry) {
+  if (!geometry) return null;
+  if (stitchCache.has(geometry)) return stitchCache.get(geometry);
+
+  let result = null;
+  if (geometry.type === 'LineString') {
+    result = { coords: geometry.coordinates, gaps: [] };
+  } else if (geometry.type === 'MultiLineString') {
+    result = stitchLines(geometry.coordinates);
+  }
+  if (result) {
+    // Długość bez prostych „przeskoków” przez prawdziwe przerwy
+    const gapKm = result.gaps.reduce((acc, g) => acc + g.meters, 0) / 1000;
+    result.lengthKm = Math.max(0, lengthOfLineStringKm(result.coords) - gapKm);
+    stitchCache.set(geometry, result);
+  }
+  return result;
+}
+
+// Indeksy odcinków ścieżki [i, i+1], które przeskakują prawdziwą przerwę (w dowolnym kierunku przejścia)
+function gapSegmentIndexes(coords, gaps) {
+  if (!gaps || !gaps.length || !Array.isArray(coords)) return [];
+  const same = (a, b) => a[0] === b[0] && a[1] === b[1];
+  const out = [];
+  for (let i = 0; i < coords.length - 1; i++) {
+    const a = coords[i], b = coords[i + 1];
+    if (gaps.some(g => (same(a, g.from) && same(b, g.to)) || (same(a, g.to) && same(b, g.from)))) out.push(i);
+  }
+  return out;
+}
+
+/**
+ * Dzieli zszytą ścieżkę na ciągłe części w miejscach prawdziwych przerw – do rysowania
+ * i eksportu bez prostych odcinków przez przerwę. Działa też po odwróceniu ścieżki (orientPath).
+ * @param {Array<[number,number]>} coords
+ * @param {Array<{from:[number,number], to:[number,number]}>} gaps - z stitchGeometry()
+ * @returns {Array<Array<[number,number]>>}
+ */
+function splitAtGaps(coords, gaps) {
+  const cuts = gapSegmentIndexes(coords, gaps);
+  if (!cuts.length) return [coords];
+  const parts = [];
+  let from = 0;
+  cuts.forEach(i => { parts.push(coords.slice(from, i + 1)); from = i + 1; });
+  parts.push(coords.slice(from));
+  return parts.filter(p => p.length >= 2);
+}
+
+/**
+ * Położenie przerw jako ułamki długości ścieżki (jak `line-progress` w Mapbox).
+ * @param {Array<[number,number]>} coords
+ * @param {Array<{from:[number,number], to:[number,number]}>} gaps
+ * @returns {Array<[number, number]>} [od, do] w kolejności wzdłuż ścieżki
+ */
+function gapFractions(coords, gaps) {
+  const cuts = new Set(gapSegmentIndexes(coords, gaps));
+  if (!cuts.size) return [];
+  const total = lengthOfLineStringKm(coords) * 1000;
+  const out = [];
+  let at = 0;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const d = haversineMeters(coords[i], coords[i + 1]);
+    if (cuts.has(i)) out.push([at / total, (at + d) / total]);
+    at += d;
+  }
+  return out;
+}
+
+// === KONIEC DŁUGOŚCI I ŁĄCZENIA ODCINKÓW ===
+
+// === KIERUNEK PRZEJŚCIA ===
+
+// Ścieżka zamknięta (pętla) – końce nie dalej niż domykane przerwy
+function isClosedPath(coords) {
+  return Array.isArray(coords) && coords.length > 3 &&
+    haversineMeters(coords[0], coords[coords.length - 1]) <= STITCH_BRIDGE_METERS;
+}
+
+/**
+ * Najbliższy punkt ścieżki (rzut na odcinek w lokalnym przybliżeniu równoodległościowym).
+ * @param {Array<[number,number]>} coords
+ * @param {[number,number]} p - [lng, lat]
+ * @returns {{ index:number, point:[number,number], meters:number } | null} index – numer odcinka
+ */
+function nearestOnPath(coords, p) {
+  const kx = Math.cos(p[1] * Math.PI / 180);
+  let best = null;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const a = coords[i], b = coords[i + 1];
+    const dx = (b[0] - a[0]) * kx, dy = b[1] - a[1];
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * kx * dx + (p[1] - a[1]) * dy) / len2)) : 0;
+    const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    const meters = haversineMeters(p, point);
+    if (!best || meters < best.meters) best = { index: i, point, meters };
+  }
+  return best;
+}
+
+/**
+ * Przebieg w wybranym kierunku. Dla pętli (isClosedPath) `start` przesuwa początek
+ * w najbliższy punkt pętli; dla pozostałych tras jest ignorowany.
+ * @param {Array<[number,number]>} coords - kolejność jak w zbiorze
+ * @param {{ reverse?: boolean, start?: [number,number]|null }} [opts]
+ * @returns {Array<[number,number]>} nowa tablica
+ */
+function orientPath(coords, { reverse = false, start = null } = {}) {
+  let out = coords.slice();
+  if (start && isClosedPath(coords)) {
+    const near = nearestOnPath(coords, start);
+    // Pętla może się domykać z luką do 50 m – ostatni punkt odrzucamy tylko, gdy powtarza pierwszy
+    const last = coords[coords.length - 1];
+    const ring = last[0] === coords[0][0] && last[1] === coords[0][1] ? coords.slice(0, -1) : coords;
+    out = [near.point, ...ring.slice(near.index + 1), ...ring.slice(0, near.index + 1), near.point];
+  }
+  if (reverse) out.reverse();
+  return out;
+}
+
+// === KONIEC KIERUNKU PRZEJŚCIA ===
+
+// === ZASIĘG NA MAPIE ===
+const bboxCache = new WeakMap();
+
+// Linie geometrii (LineString/MultiLineString) jako tablice współrzędnych
+function geometryLines(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+}
+
+/**
+ * Prostokąt otaczający geometrię, zapamiętywany per obiekt geometrii.
+ * @param {Object} geometry
+ * @returns {[number,number,number,number] | null} [zachód, południe, wschód, północ]
+ */
+function geometryBBox(geometry) {
+  if (!geometry) return null;
+  if (bboxCache.has(geometry)) return bboxCache.get(geometry);
+  let bbox = null;
+  geometryLines(geometry).forEach(line => line.forEach(([x, y]) => {
+    if (!bbox) bbox = [x, y, x, y];
+    else bbox = [Math.min(bbox[0], x), Math.min(bbox[1], y), Math.max(bbox[2], x), Math.max(bbox[3], y)];
+  }));
+  bboxCache.set(geometry, bbox);
+  return bbox;
+}
+
+// Czy odcinek a–b przecina prostokąt (przycinanie Lianga–Barsky'ego)
+function segmentIntersectsBBox(a, b, [w, s, e, n]) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  let t0 = 0, t1 = 1;
+  const edges = [[-dx, a[0] - w], [dx, e - a[0]], [-dy, a[1] - s], [dy, n - a[1]]];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false;
+    } else {
+      const t = q / p;
+      if (p < 0) t0 = Math.max(t0, t);
+      else t1 = Math.min(t1, t);
+      if (t0 > t1) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Czy któryś odcinek szlaku leży w prostokącie (np. w widoku mapy). Najpierw porównuje
+ * prostokąty otaczające – szlak daleko od widoku nie wymaga sprawdzania odcinków.
+ * @param {Object} geometry
+ * @param {[number,number,number,number]} bbox - [zachód, południe, wschód, północ]
+ * @returns {boolean}
+ */
+function geometryIntersectsBBox(geometry, bbox) {
+  const box = geometryBBox(geometry);
+  if (!box || box[0] > bbox[2] || box[2] < bbox[0] || box[1] > bbox[3] || box[3] < bbox[1]) return false;
+  if (box[0] >= bbox[0] && box[2] <= bbox[2] && box[1] >= bbox[1] && box[3] <= bbox[3]) return true;
+  return geometryLines(geometry).some(line => line.length === 1
+    ? segmentIntersectsBBox(line[0], line[0], bbox)
+    : line.some((p, i) => i > 0 && segmentIntersectsBBox(line[i - 1], p, bbox)));
+}
+
+// === KONIEC ZASIĘGU NA MAPIE ===
+
+// === DOJŚCIE DO SZLAKU ===
+
+/**
+ * Najbliższe wejście na szlak w linii prostej. Szlak można przejść w obu kierunkach, więc
+ * wejściem jest każdy koniec (także końce części MultiLineString); pętlę można zacząć
+ * w dowolnym miejscu, więc dla niej liczy się najbliższy punkt przebiegu.
+ * @param {Object} geometry
+ * @param {[number,number]} p - [lng, lat]
+ * @returns {{ point: [number,number], meters: number } | null}
+ */
+function nearestTrailhead(geometry, p) {
+  const stitched = stitchGeometry(geometry);
+  if (!stitched || stitched.coords.length < 2) return null;
+  if (isClosedPath(stitched.coords)) {
+    const near = nearestOnPath(stitched.coords, p);
+    return { point: near.point, meters: near.meters };
+  }
+  let best = null;
+  geometryLines(geometry).forEach(line => {
+    if (!line.length) return;
+    [line[0], line[line.length - 1]].forEach(point => {
+      const meters = haversineMeters(p, point);
+      if (!best || meters < best.meters) best = { point, meters };
+    });
+  });
+  return best;
+}
+
+// === KONIEC DOJŚCIA DO SZLAKU ===
+
+// === PROFIL WYSOKOŚCI ===
+
+/**
+ * Punkty co `stepMeters` wzdłuż linii (pierwszy i ostatni wierzchołek zawsze są w wyniku).
+ * @param {Array<[number,number]>} coords
+ * @param {number} stepMeters
+ * @returns {Array<{ d:number, coord:[number,number] }>} d – odległość od początku w metrach
+ */
+function resampleLine(coords, stepMeters) {
+  if (!coords || !coords.length) return [];
+  const out = [{ d: 0, coord: [coords[0][0], coords[0][1]] }];
+  let walked = 0, next = stepMeters;
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1], b = coords[i];
+    const seg = haversineMeters(a, b);
+    while (seg > 0 && next <= walked + seg) {
+      const f = (next - walked) / seg;
+      out.push({ d: next, coord: [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f] });
+      next += stepMeters;
+    }
+    walked += seg;
+  }
+  const last = coords[coords.length - 1];
+  if (walked > out[out.length - 1].d) out.push({ d: walked, coord: [last[0], last[1]] });
+  return out;
+}
+
+// Zmiany wysokości mniejsze niż próg traktujemy jak szum DEM i nie sumujemy ich
+const ELEVATION_NOISE_METERS = 3;
+
+/**
+ * Suma podejść i zejść oraz zakres wysokości; puste wartości (null) są pomijane.
+ * @param {Array<number|null>} elevations - wysokości w kolejnych punktach (m)
+ * @param {{threshold?: number}} [opts]
+ * @returns {{ ascent:number, descent:number, min:number, max:number } | null}
+ */
+function elevationStats(elevations, { threshold = ELEVATION_NOISE_METERS } = {}) {
+  const values = (elevations || []).filter(e => typeof e === 'number' && isFinite(e));
+  if (!values.length) return null;
+  let ascent = 0, descent = 0, ref = values[0];
+  let min = values[0], max = values[0];
+  for (const e of values) {
+    if (e < min) min = e;
+    if (e > max) max = e;
+    if (e - ref >= threshold) { ascent += e - ref; ref = e; }
+    else if (ref - e >= threshold) { descent += ref - e; ref = e; }
+  }
+  return { ascent, descent, min, max };
+}
+
+// Najkrótszy odcinek, na którym liczymy nachylenie – krótsze skoki DEM dają nierealne wartości
+const GRADE_WINDOW_METERS = 100;
+
+/**
+ * Największe nachylenie (w górę lub w dół) w procentach, liczone na odcinkach ≥ `windowMeters`.
+ * @param {Array<{d:number}>} points - punkty z resampleLine
+ * @param {Array<number|null>} elevations - wysokości odpowiadające punktom
+ * @param {{windowMeters?: number}} [opts]
+ * @returns {number|null}
+ */
+function maxGrade(points, elevations, { windowMeters = GRADE_WINDOW_METERS } = {}) {
+  let best = null;
+  for (let i = 0, j = 0; i < points.length; i++) {
+    if (elevations[i] == null) continue;
+    while (j < points.length && points[j].d - points[i].d < windowMeters) j++;
+    if (j >= points.length) break;
+    if (elevations[j] == null) continue;
+    const grade = Math.abs(elevations[j] - elevations[i]) / (points[j].d - points[i].d) * 100;
+    if (best === null || grade > best) best = grade;
+  }
+  return best;
+}
+
+// === KONIEC PROFILU WYSOKOŚCI ===
+
+// === CZAS PRZEJŚCIA ===
+
+/**
+ * Czas z tagu OSM w minutach: `hh:mm`, `hh:mm:ss`, `mm`, ISO 8601 (`PT2H30M`) albo `2h30`/`2 h 30 min`.
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseOsmDuration(value) {
+  if (value == null) return null;
+  const v = String(value).trim();
+  let m;
+  if ((m = v.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/))) {
+    return Number(m[1]) * 60 + Number(m[2]) + (m[3] ? Number(m[3]) / 60 : 0);
+  }
+  if ((m = v.match(/^\d+(\.\d+)?$/))) return Number(v);
+  if ((m = v.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i)) && v.length > 1) {
+    return (Number(m[1] || 0) * 24 + Number(m[2] || 0)) * 60 + Number(m[3] || 0) + Number(m[4] || 0) / 60 || null;
+  }
+  if ((m = v.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*min)?$/i)) && (m[1] || m[2])) {
+    return Number(m[1] || 0) * 60 + Number(m[2] || 0);
+  }
+  if ((m = v.match(/^(\d+)\s*h\s*(\d{1,2})$/i))) return Number(m[1]) * 60 + Number(m[2]);
+  return null;
+}
+
+/**
+ * Szacowany czas marszu w minutach wg DIN 33466 (rozwinięcie reguły Naismitha):
+ * 4 km/h w poziomie, 300 m/h podejścia, 500 m/h zejścia; dłuższa składowa + połowa krótszej.
+ * @param {{ lengthKm:number, ascent?:number, descent?:number }} metrics
+ * @returns {number} zaokrąglone do 5 min
+ */
+function hikingTimeMinutes({ lengthKm, ascent = 0, descent = 0 }) {
+  const horizontal = (lengthKm || 0) / 4;
+  const vertical = (ascent || 0) / 300 + (descent || 0) / 500;
+  const hours = Math.max(horizontal, vertical) + Math.min(horizontal, vertical) / 2;
+  return Math.round(hours * 60 / 5) * 5;
+}
+
+/**
+ * Czas przejścia szlaku: najpierw tagi OSM (`time:forward`/`time:backward`, potem `duration`),
+ * a bez nich szacunek z długości i przewyższenia (o ile statystyki są znane).
+ * @param {Object} p - properties szlaku
+ * @param {{ lengthKm:number, ascent?:number, descent?:number }|null} metrics - null, gdy brak statystyk
+ * @param {{ reverse?: boolean }} [opts] - przejście w kierunku przeciwnym do geometrii
+ * @returns {{ minutes:number, source:'osm'|'estimate' } | null}
+ */
+function trailTime(p, metrics, { reverse = false } = {}) {
+  const tags = p || {};
+  const tagged = parseOsmDuration(tags[reverse ? 'time:backward' : 'time:forward']) ?? parseOsmDuration(tags.duration);
+  if (tagged) return { minutes: Math.round(tagged), source: 'osm' };
+  if (!metrics) return null;
+  const { lengthKm, ascent, descent } = metrics;
+  return {
+    minutes: hikingTimeMinutes(reverse ? { lengthKm, ascent: descent, descent: ascent } : { lengthKm, ascent, descent }),
+    source: 'estimate'
+  };
+}
+
+// === KONIEC CZASU PRZEJŚCIA ===
+
+// === TRUDNOŚĆ ===
+
+/**
+ * Progi klas trudności: wartość powyżej `moderate` daje co najmniej klasę „średnia”,
+ * powyżej `hard` – „trudna”. Klasę szlaku wyznacza najtrudniejsze kryterium.
+ */
+const DIFFICULTY_THRESHOLDS = {
+  lengthKm: { moderate: 8, hard: 15 },
+  ascent:   { moderate: 300, hard: 700 },  // m
+  maxGrade: { moderate: 15, hard: 25 },    // % (odcinki ≥ 100 m)
+  minutes:  { moderate: 180, hard: 300 }   // czas przejścia
+};
+const DIFFICULTY_LEVELS = ['easy', 'moderate', 'hard'];
+
+/**
+ * Klasa trudności z długości, sumy podejść, największego nachylenia i czasu przejścia.
+ * Brakujące nachylenie lub czas są pomijane; bez długości i podejść wynik jest nieznany.
+ * @param {{ lengthKm:number, ascent:number, maxGrade?:(number|null), minutes?:(number|null) }} metrics
+ * @returns {'easy'|'moderate'|'hard'|null}
+ */
+function trailDifficulty({ lengthKm, ascent, maxGrade = null, minutes = null } = {}) {
+  if (lengthKm == null || ascent == null) return null;
+  const values = { lengthKm, ascent, maxGrade, minutes };
+  let level = 0;
+  for (const [name, t] of Object.entries(DIFFICULTY_THRESHOLDS)) {
+    const v = values[name];
+    if (v == null || isNaN(v)) continue;
+    if (v > t.hard) level = 2;
+    else if (v > t.moderate) level = Math.max(level, 1);
+  }
+  return DIFFICULTY_LEVELS[level];
+}
+
+// === KONIEC TRUDNOŚCI ===
+
+const trailUtils = {
+  featureOsmc,
+  haversineMeters,
+  lengthOfLineStringKm,
+  stitchLines,
+  stitchGeometry,
+  splitAtGaps,
+  gapFractions,
+  isClosedPath,
+  nearestOnPath,
+  orientPath,
+  geometryBBox,
+  geometryIntersectsBBox,
+  nearestTrailhead,
+  resampleLine,
+  elevationStats,
+  maxGrade,
+  parseOsmDuration,
+  hikingTimeMinutes,
+  trailTime,
+  DIFFICULTY_THRESHOLDS,
+  trailDifficulty
+};
+
+// Eksportuj dla przeglądarki i Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = trailUtils;
+} else {
+  window.trailUtils = trailUtils;
+}
@@ -0,0 +1,271 @@
+/**
+ * Katalog komunikatów: czeski
+ */
+
+// map_demo/js/locales/cs.js
+window.i18nMessages = window.i18nMessages || {};
+
+window.i18nMessages.cs = {
+  // Strona i panel boczny
+  'app.title': 'Turistické trasy v okolí Valbřichu - interaktivní mapa',
+  'app.name': 'Interaktivní turistická mapa',
+  'sidebar.title': 'Pěší trasy – Valbřich',
+  'sidebar.regionTitle': 'Pěší trasy – {region}',
+  'sidebar.hint': 'kliknutím na trasu spustíte animaci a sledování kamerou',
+  'sidebar.label': 'Seznam tras',
+  'sidebar.toggle': 'Zobrazit/skrýt seznam',
+  'sidebar.menu': 'Menu',
+  'map.label': 'Mapa tras',
+  'map.chooseTrail': 'Na tomto místě je více tras – vyberte:',
+  'region.label': 'Region',
+  'region.loadFailed': 'Region se nepodařilo načíst: {region}',
+  'lang.label': 'Jazyk',
+  'loader.loading': 'Načítání dat…',
+  'loader.failed': 'Data tras se nepodařilo načíst. Obnovte stránku.',
+  'overlay.loadFailed': 'Soubor {url} se nepodařilo načíst — podrobnosti v konzoli.',
+  'theme.toggle': 'Přepnout motiv (T)',
+
+  // Wyszukiwarka i udostępnianie
+  'search.placeholder': 'Hledat trasu nebo místo…',
+  'search.label': 'Hledat',
+  'search.clear': 'Vymazat',
+  'search.noResults': 'Žádné trasy nenalezeny',
+  'search.noResultsHint': 'Zkuste jiná klíčová slova',
+  'share.copy': 'Kopírovat odkaz',
+  'share.copied': 'Zkopírováno',
+  'share.failed': 'Chyba',
+
+  // Lista szlaków
+  'list.label': 'Vyberte trasu pro animaci',
+  'list.fallbackName': 'trasa {n}',
+  'list.filterLabel': 'Filtr tras',
+  'list.all': 'Vše',
+  'list.saved': 'Uložené',
+  'list.save': 'Uložit trasu',
+  'list.unsave': 'Odebrat z uložených',
+  'list.imported': 'Importováno',
+  'list.removeImported': 'Odebrat importovanou stopu',
+  'list.new': 'Nová',
+  'list.updated': 'Změněná',
+  'list.updatedGeometry': 'Změněný průběh',
+  'list.updatedTags': 'Změněné informace o trase',
+  'list.compare': 'Porovnat starý a nový průběh',
+
+  // Filtry
+  'facets.toggle': 'Filtry',
+  'facets.summary': {
+    one: '{shown} z {n} trasy',
+    few: '{shown} z {n} tras',
+    many: '{shown} z {n} trasy',
+    other: '{shown} z {n} tras'
+  },
+  'facets.distance': 'Délka:',
+  'facets.ascent': 'Převýšení:',
+  'facets.time': 'Doba chůze:',
+  'facets.difficulty': 'Obtížnost:',
+  'facets.near': 'V mém okolí:',
+  'facets.radius': 'Okruh:',
+  'facets.network': 'Síť:',
+  'facets.operator': 'Správce:',
+  'range.min': '{label} – od',
+  'range.max': '{label} – do',
+  'range.any': 'libovolná',
+  'facets.color': 'Barva:',
+  'facets.all': 'Vše',
+  'facets.savedOnly': 'Jen uložené',
+  'facets.inView': 'V zobrazení mapy',
+  'facets.changes': 'Nové a změněné',
+  'near.gps': 'Moje poloha',
+  'near.pin': 'Vybrat na mapě',
+  'near.pickHint': 'Klikněte do mapy a nastavte výchozí bod (Esc – zrušit)',
+  'near.fromYou': '{km} km od vás',
+  'near.fromPin': '{km} km od špendlíku',
+  'sort.label': 'Řadit:',
+  'sort.name': 'Název',
+  'sort.length': 'Délka',
+  'sort.time': 'Doba chůze',
+  'sort.ascent': 'Převýšení',
+  'sort.proximity': 'Vzdálenost ode mě',
+  'sort.saved': 'Naposledy uložené',
+  'sort.asc': 'Vzestupně',
+  'sort.desc': 'Sestupně',
+  'presets.toggle': 'Předvolby',
+  'presets.empty': 'Žádné uložené předvolby',
+  'presets.namePlaceholder': 'Název předvolby',
+  'presets.save': 'Uložit aktuální',
+  'presets.saved': 'Předvolba „{name}“ uložena',
+  'presets.nameTaken': 'Předvolba „{name}“ už existuje',
+  'presets.rename': 'Přejmenovat',
+  'presets.renameSave': 'Uložit název',
+  'presets.delete': 'Smazat předvolbu',
+  'presets.export': 'Exportovat JSON',
+  'color.blue': 'Modrá',
+  'color.red': 'Červená',
+  'color.green': 'Zelená',
+  'color.yellow': 'Žlutá',
+
+  // Zmiany w zbiorze
+  'changes.summary': 'Trasy aktualizovány ({parts})',
+  'changes.added': 'nové: {n}',
+  'changes.updated': 'změněné: {n}',
+  'changes.removed': 'odebrané: {n}',
+
+  // Odtwarzanie
+  'player.timeline': 'Časová osa animace',
+  'player.pause': 'Pauza',
+  'player.resume': 'Pokračovat',
+  'player.replay': 'Přehrát znovu',
+  'direction.reverse': 'Obrátit směr',
+  'direction.reverseTitle': 'Obrátit směr chůze',
+  'direction.loopStart': 'Začátek okruhu',
+  'direction.loopStartTitle': 'Vyberte na mapě začátek okruhu',
+  'direction.pickHint': 'Klikněte na okruhu na místo startu (Esc – zrušit)',
+  'player.download': 'Stáhnout KML/PNG',
+  'player.downloadTitle': 'Stáhnout KML/PNG (Google Maps)',
+  'player.speed': 'Rychlost přehrávání',
+  'popup.elevation': 'Nadmořská výška: {value}',
+  'popup.meters': '{m} m n. m.',
+  'popup.time': 'Doba chůze: {value}',
+  'popup.difficulty': 'Obtížnost: {value}',
+  'gap.label': 'přerušení {distance}',
+  'poi.fallbackName': 'Bod',
+
+  // Profil wysokości
+  'profile.title': 'Výškový profil',
+  'profile.ascent': 'Celkové stoupání',
+  'profile.descent': 'Celkové klesání',
+  'profile.range': 'Výška min–max',
+  'profile.rangeValue': '{min}–{max} m n. m.',
+  'profile.loading': 'Načítání profilu…',
+  'profile.unavailable': 'Data o výšce nejsou k dispozici',
+  'profile.csv': 'Stáhnout profil jako CSV',
+  'profile.seek': 'Výškový profil – kliknutím nebo tažením posunete animaci',
+  'profile.file': '{slug}_vyskovy_profil',
+  'stats.maxEle': 'Nejvyšší bod',
+  'stats.maxGrade': 'Největší sklon',
+
+  // Czas przejścia
+  'time.osm': 'Doba chůze (podle OSM)',
+  'time.estimate': 'Odhadovaná doba chůze (DIN 33466: délka a převýšení)',
+  'time.hm': '{h} h {m} min',
+  'time.h': '{h} h',
+  'time.m': '{m} min',
+
+  // Trudność
+  'difficulty.easy': 'lehká',
+  'difficulty.moderate': 'střední',
+  'difficulty.hard': 'těžká',
+  'difficulty.title': 'Obtížnost podle délky, celkového stoupání, největšího sklonu a doby chůze',
+
+  // Okna dialogowe
+  'modal.ok': 'OK',
+  'modal.cancel': 'Zrušit',
+  'modal.close': 'Zavřít',
+
+  // Import śladów
+  'import.drop': 'Přetáhněte soubor GPX, KML nebo GeoJSON',
+  'import.button': 'Importovat stopu (GPX, KML, GeoJSON)',
+  'import.buttonLabel': 'Importovat stopu',
+  'import.failed': 'Soubor {file} se nepodařilo importovat',
+  'import.doneOne': 'Importováno: {name}',
+  'import.doneMany': {
+    one: 'Importována {n} stopa',
+    few: 'Importovány {n} stopy',
+    many: 'Importováno {n} stopy',
+    other: 'Importováno {n} stop'
+  },
+  'import.noSpace': 'V úložišti prohlížeče není místo pro importované stopy',
+  'import.fallbackName': 'Stopa',
+  'import.badXml': 'Soubor není platný dokument XML',
+  'import.badJson': 'Soubor není platný JSON',
+  'import.unsupported': 'Nepodporovaný formát souboru: {file}',
+  'import.noLines': 'Soubor {file} neobsahuje žádnou linii trasy',
+
+  // Eksport
+  'export.defaultName': 'Trasa',
+  'export.moduleMissing': 'Chyba: modul exportu se nenačetl správně.',
+  'export.initFailed': 'Modul exportu se nepodařilo inicializovat',
+  'export.failed': 'Chyba při exportu: {message}',
+  'export.formatFailed': 'Chyba při exportu {format}: {message}',
+  'export.noRoute': 'Pro export není vybrána žádná trasa',
+  'export.choiceTitle': 'Export do Google Maps',
+  'export.choiceSubtitle': 'Vyberte možnost pro trasu „{name}“',
+  'export.drive': 'Cesta autem',
+  'export.driveHint': 'Na začátek trasy',
+  'export.walk': 'Projít trasu pěšky',
+  'export.walkHint': 'Celá trasa',
+  'export.noPoints': 'Nelze určit body trasy',
+  'export.noCoords': 'Žádné souřadnice k exportu',
+  'export.unsupported': 'Nepodporovaný formát exportu: {format}',
+  'export.kmlFailed': 'Export KML se nezdařil: {message}',
+  'export.pngFailed': 'Export obrázku PNG se nezdařil',
+  'export.errorDetails': 'Podrobnosti chyby: {message}',
+  'export.unknownError': 'Neznámá chyba',
+  'export.noMap': 'Mapa není k dispozici',
+  'export.noRouteData': 'Chybí data trasy (currentItem nebo currentPath)',
+  'export.noTurf': 'Knihovna Turf.js není k dispozici',
+  'export.pngDoneTitle': 'Stahování dokončeno',
+  'export.pngDone': 'Obrázek PNG trasy „{name}“ byl stažen.',
+  'export.fileDrive': 'cesta_na_{slug}',
+  'export.fileWalk': '{slug}_pesky',
+  'export.fileFallback': 'trasa',
+  'export.description': 'Trasa exportovaná z Interaktivní turistické mapy',
+
+  // Treść plików KML
+  'kml.userStart': 'Výchozí bod (vaše poloha)',
+  'kml.userStartDesc': 'Poloha uživatele',
+  'kml.mainRoute': 'Hlavní turistická trasa',
+  'kml.driveTitle': 'Cesta na trasu „{name}“',
+  'kml.driveDesc': 'Trasa autem z vaší polohy na začátek trasy',
+  'kml.driveStart': '🚗 Start - vaše poloha',
+  'kml.driveStartDesc': 'Výchozí bod cesty autem',
+  'kml.driveTarget': '🅿️ Cíl - začátek trasy „{name}“',
+  'kml.driveTargetDesc': 'Cíl - začátek pěší trasy',
+  'kml.driveLine': 'Cesta autem na trasu „{name}“',
+  'kml.driveLineDesc': 'Pro cestu použijte autonavigaci. Tato čára je pouze orientační - řiďte se skutečnou GPS navigací.',
+
+  // Google Maps
+  'gmaps.askTitle': 'Otevřít v Google Maps?',
+  'gmaps.askMessage': 'Soubor KML byl stažen. Chcete tuto trasu otevřít také v Google Maps?',
+  'gmaps.open': 'Otevřít v Google Maps',
+  'gmaps.decline': 'Ne, děkuji',
+  'gmaps.failed': 'Trasu se nepodařilo otevřít v Google Maps.',
+  'gmaps.noCoords': 'Souřadnice trasy nebyly nalezeny',
+  'gmaps.openedTitle': 'Trasa otevřena v Google Maps',
+  'gmaps.drivingOnly': '🚗 Google Maps zobrazí cestu autem na trasu „{name}“:\n\n📍 Start: vaše poloha\n🅿️ Cíl: začátek trasy\n\nAutonavigace na místo, kde můžete začít pěší túru.',
+  'gmaps.multimodal': 'Google Maps zobrazí trasu se 3 body:\n📍 Start: vaše poloha\n🚗 Parkování: začátek trasy „{name}“\n🎯 Cíl: konec trasy\n\nGoogle pro každý úsek navrhne nejvhodnější dopravu.',
+  'gmaps.walkingOnly': 'Pěší trasa „{name}“ byla otevřena v Google Maps.',
+
+  // Geolokalizacja
+  'geo.unsupported': 'Tento prohlížeč nepodporuje geolokaci',
+  'geo.error': 'Chyba geolokace: {reason}',
+  'geo.denied': 'Přístup k poloze byl uživatelem odepřen.',
+  'geo.unavailable': 'Informace o poloze nejsou k dispozici.',
+  'geo.timeout': 'Vypršel časový limit požadavku na polohu.',
+  'geo.unknown': 'Došlo k neznámé chybě.',
+
+  // Panel szczegółów szlaku
+  'details.title': 'Podrobnosti trasy',
+  'details.from': 'Začátek',
+  'details.to': 'Konec',
+  'details.via': 'Přes',
+  'details.roundtrip': 'Okruh',
+  'details.distance': 'Délka (podle OSM)',
+  'details.operator': 'Správce',
+  'details.network': 'Síť',
+  'details.description': 'Popis',
+  'details.note': 'Poznámky',
+  'details.surveyDate': 'Ověřeno v terénu',
+  'details.website': 'Webové stránky',
+  'details.wikipedia': 'Wikipedie',
+  'details.wikidata': 'Wikidata',
+  'details.osm': 'OpenStreetMap',
+  'details.yes': 'ano',
+  'details.no': 'ne',
+  'details.osmLink': 'relace v OSM',
+  'details.empty': 'V datech OSM nejsou žádné další informace.',
+  'network.iwn': 'mezinárodní',
+  'network.nwn': 'národní',
+  'network.rwn': 'regionální',
+  'network.lwn': 'místní'
+};
@@ -0,0 +1,267 @@
+/**
+ * Katalog komunikatów: niemiecki
+ */
+
+// map_demo/js/locales/de.js
+window.i18nMessages = window.i18nMessages || {};
+
+window.i18nMessages.de = {
+  // Strona i panel boczny
+  'app.title': 'Wanderwege rund um Wałbrzych (Waldenburg) - interaktive Karte',
+  'app.name': 'Interaktive Wanderkarte',
+  'sidebar.title': 'Wanderwege – Wałbrzych',
+  'sidebar.regionTitle': 'Wanderwege – {region}',
+  'sidebar.hint': 'Weg anklicken, um Animation und Kamerafahrt zu starten',
+  'sidebar.label': 'Liste der Wanderwege',
+  'sidebar.toggle': 'Liste ein-/ausblenden',
+  'sidebar.menu': 'Menü',
+  'map.label': 'Wanderkarte',
+  'map.chooseTrail': 'Mehrere Wege an dieser Stelle – bitte wählen:',
+  'region.label': 'Region',
+  'region.loadFailed': 'Region konnte nicht geladen werden: {region}',
+  'lang.label': 'Sprache',
+  'loader.loading': 'Daten werden geladen…',
+  'loader.failed': 'Die Wegdaten konnten nicht geladen werden. Bitte Seite neu laden.',
+  'overlay.loadFailed': '{url} konnte nicht geladen werden — Details in der Konsole.',
+  'theme.toggle': 'Design wechseln (T)',
+
+  // Wyszukiwarka i udostępnianie
+  'search.placeholder': 'Weg oder Ort suchen…',
+  'search.label': 'Suchen',
+  'search.clear': 'Leeren',
+  'search.noResults': 'Keine Wege gefunden',
+  'search.noResultsHint': 'Versuchen Sie andere Suchbegriffe',
+  'share.copy': 'Link kopieren',
+  'share.copied': 'Kopiert',
+  'share.failed': 'Fehler',
+
+  // Lista szlaków
+  'list.label': 'Weg für die Animation wählen',
+  'list.fallbackName': 'Weg {n}',
+  'list.filterLabel': 'Wegfilter',
+  'list.all': 'Alle',
+  'list.saved': 'Gespeichert',
+  'list.save': 'Weg speichern',
+  'list.unsave': 'Aus Gespeicherten entfernen',
+  'list.imported': 'Importiert',
+  'list.removeImported': 'Importierten Track entfernen',
+  'list.new': 'Neu',
+  'list.updated': 'Geändert',
+  'list.updatedGeometry': 'Verlauf geändert',
+  'list.updatedTags': 'Weginformationen geändert',
+  'list.compare': 'Alten und neuen Verlauf vergleichen',
+
+  // Filtry
+  'facets.toggle': 'Filter',
+  'facets.summary': {
+    one: '{shown} von {n} Weg',
+    other: '{shown} von {n} Wegen'
+  },
+  'facets.distance': 'Länge:',
+  'facets.ascent': 'Höhenmeter:',
+  'facets.time': 'Gehzeit:',
+  'facets.difficulty': 'Schwierigkeit:',
+  'facets.near': 'In meiner Nähe:',
+  'facets.radius': 'Umkreis:',
+  'facets.network': 'Netz:',
+  'facets.operator': 'Betreuer:',
+  'range.min': '{label} – von',
+  'range.max': '{label} – bis',
+  'range.any': 'beliebig',
+  'facets.color': 'Farbe:',
+  'facets.all': 'Alle',
+  'facets.savedOnly': 'Nur gespeicherte',
+  'facets.inView': 'Im Kartenausschnitt',
+  'facets.changes': 'Neu und geändert',
+  'near.gps': 'Mein Standort',
+  'near.pin': 'Auf der Karte wählen',
+  'near.pickHint': 'Klicken Sie auf die Karte, um den Bezugspunkt zu setzen (Esc – abbrechen)',
+  'near.fromYou': '{km} km von Ihnen',
+  'near.fromPin': '{km} km von der Markierung',
+  'sort.label': 'Sortieren:',
+  'sort.name': 'Name',
+  'sort.length': 'Länge',
+  'sort.time': 'Gehzeit',
+  'sort.ascent': 'Aufstieg',
+  'sort.proximity': 'Entfernung von mir',
+  'sort.saved': 'Zuletzt gespeichert',
+  'sort.asc': 'Aufsteigend',
+  'sort.desc': 'Absteigend',
+  'presets.toggle': 'Vorlagen',
+  'presets.empty': 'Keine gespeicherten Vorlagen',
+  'presets.namePlaceholder': 'Name der Vorlage',
+  'presets.save': 'Aktuelle speichern',
+  'presets.saved': 'Vorlage „{name}“ gespeichert',
+  'presets.nameTaken': 'Eine Vorlage „{name}“ gibt es bereits',
+  'presets.rename': 'Umbenennen',
+  'presets.renameSave': 'Namen speichern',
+  'presets.delete': 'Vorlage löschen',
+  'presets.export': 'Als JSON exportieren',
+  'color.blue': 'Blau',
+  'color.red': 'Rot',
+  'color.green': 'Grün',
+  'color.yellow': 'Gelb',
+
+  // Zmiany w zbiorze
+  'changes.summary': 'Wege aktualisiert ({parts})',
+  'changes.added': 'neu: {n}',
+  'changes.updated': 'geändert: {n}',
+  'changes.removed': 'entfernt: {n}',
+
+  // Odtwarzanie
+  'player.timeline': 'Zeitleiste der Animation',
+  'player.pause': 'Pause',
+  'player.resume': 'Fortsetzen',
+  'player.replay': 'Erneut abspielen',
+  'direction.reverse': 'Richtung umkehren',
+  'direction.reverseTitle': 'Gehrichtung umkehren',
+  'direction.loopStart': 'Start der Runde',
+  'direction.loopStartTitle': 'Startpunkt der Runde auf der Karte wählen',
+  'direction.pickHint': 'Klicken Sie auf der Runde auf den Startpunkt (Esc – abbrechen)',
+  'player.download': 'KML/PNG herunterladen',
+  'player.downloadTitle': 'KML/PNG herunterladen (Google Maps)',
+  'player.speed': 'Wiedergabegeschwindigkeit',
+  'popup.elevation': 'Höhe: {value}',
+  'popup.meters': '{m} m ü. NN',
+  'popup.time': 'Gehzeit: {value}',
+  'popup.difficulty': 'Schwierigkeit: {value}',
+  'gap.label': 'Lücke {distance}',
+  'poi.fallbackName': 'Punkt',
+
+  // Profil wysokości
+  'profile.title': 'Höhenprofil',
+  'profile.ascent': 'Gesamtanstieg',
+  'profile.descent': 'Gesamtabstieg',
+  'profile.range': 'Höhe min–max',
+  'profile.rangeValue': '{min}–{max} m ü. NN',
+  'profile.loading': 'Profil wird geladen…',
+  'profile.unavailable': 'Keine Höhendaten',
+  'profile.csv': 'Profil als CSV herunterladen',
+  'profile.seek': 'Höhenprofil – klicken oder ziehen, um in der Animation zu springen',
+  'profile.file': '{slug}_hoehenprofil',
+  'stats.maxEle': 'Höchster Punkt',
+  'stats.maxGrade': 'Größte Steigung',
+
+  // Czas przejścia
+  'time.osm': 'Gehzeit (laut OSM)',
+  'time.estimate': 'Geschätzte Gehzeit (DIN 33466: Länge und Höhenmeter)',
+  'time.hm': '{h} Std. {m} Min.',
+  'time.h': '{h} Std.',
+  'time.m': '{m} Min.',
+
+  // Trudność
+  'difficulty.easy': 'leicht',
+  'difficulty.moderate': 'mittel',
+  'difficulty.hard': 'schwer',
+  'difficulty.title': 'Schwierigkeit nach Länge, Gesamtanstieg, größter Steigung und Gehzeit',
+
+  // Okna dialogowe
+  'modal.ok': 'OK',
+  'modal.cancel': 'Abbrechen',
+  'modal.close': 'Schließen',
+
+  // Import śladów
+  'import.drop': 'GPX-, KML- oder GeoJSON-Datei hier ablegen',
+  'import.button': 'Track importieren (GPX, KML, GeoJSON)',
+  'import.buttonLabel': 'Track importieren',
+  'import.failed': '{file} konnte nicht importiert werden',
+  'import.doneOne': 'Importiert: {name}',
+  'import.doneMany': {
+    one: '{n} Track importiert',
+    other: '{n} Tracks importiert'
+  },
+  'import.noSpace': 'Nicht genug Browserspeicher für importierte Tracks',
+  'import.fallbackName': 'Track',
+  'import.badXml': 'Die Datei ist kein gültiges XML-Dokument',
+  'import.badJson': 'Die Datei ist kein gültiges JSON',
+  'import.unsupported': 'Nicht unterstütztes Dateiformat: {file}',
+  'import.noLines': 'Die Datei {file} enthält keine Routenlinie',
+
+  // Eksport
+  'export.defaultName': 'Route',
+  'export.moduleMissing': 'Fehler: Das Exportmodul wurde nicht korrekt geladen.',
+  'export.initFailed': 'Das Exportmodul konnte nicht initialisiert werden',
+  'export.failed': 'Fehler beim Export: {message}',
+  'export.formatFailed': 'Fehler beim {format}-Export: {message}',
+  'export.noRoute': 'Keine Route für den Export ausgewählt',
+  'export.choiceTitle': 'Export nach Google Maps',
+  'export.choiceSubtitle': 'Option für „{name}“ wählen',
+  'export.drive': 'Anfahrt mit dem Auto',
+  'export.driveHint': 'Zum Startpunkt',
+  'export.walk': 'Weg zu Fuß gehen',
+  'export.walkHint': 'Gesamte Strecke',
+  'export.noPoints': 'Die Routenpunkte konnten nicht bestimmt werden',
+  'export.noCoords': 'Keine Koordinaten zum Exportieren',
+  'export.unsupported': 'Nicht unterstütztes Exportformat: {format}',
+  'export.kmlFailed': 'KML-Export fehlgeschlagen: {message}',
+  'export.pngFailed': 'PNG-Export fehlgeschlagen',
+  'export.errorDetails': 'Fehlerdetails: {message}',
+  'export.unknownError': 'Unbekannter Fehler',
+  'export.noMap': 'Die Karte ist nicht verfügbar',
+  'export.noRouteData': 'Keine Routendaten (currentItem oder currentPath)',
+  'export.noTurf': 'Die Bibliothek Turf.js ist nicht verfügbar',
+  'export.pngDoneTitle': 'Download abgeschlossen',
+  'export.pngDone': 'Das PNG-Bild von „{name}“ wurde heruntergeladen.',
+  'export.fileDrive': 'anfahrt_{slug}',
+  'export.fileWalk': '{slug}_zu_fuss',
+  'export.fileFallback': 'route',
+  'export.description': 'Route exportiert aus der Interaktiven Wanderkarte',
+
+  // Treść plików KML
+  'kml.userStart': 'Startpunkt (Ihr Standort)',
+  'kml.userStartDesc': 'Standort des Nutzers',
+  'kml.mainRoute': 'Hauptwanderroute',
+  'kml.driveTitle': 'Anfahrt zu „{name}“',
+  'kml.driveDesc': 'Autoroute von Ihrem Standort zum Startpunkt des Weges',
+  'kml.driveStart': '🚗 Start - Ihr Standort',
+  'kml.driveStartDesc': 'Ausgangspunkt der Anfahrt mit dem Auto',
+  'kml.driveTarget': '🅿️ Ziel - Beginn von „{name}“',
+  'kml.driveTargetDesc': 'Ziel - Beginn des Wanderweges',
+  'kml.driveLine': 'Anfahrt mit dem Auto zu „{name}“',
+  'kml.driveLineDesc': 'Nutzen Sie für die Anfahrt ein Navigationsgerät. Diese Linie ist nur eine Orientierung - folgen Sie der tatsächlichen GPS-Navigation.',
+
+  // Google Maps
+  'gmaps.askTitle': 'In Google Maps öffnen?',
+  'gmaps.askMessage': 'Die KML-Datei wurde heruntergeladen. Möchten Sie die Route auch in Google Maps öffnen?',
+  'gmaps.open': 'In Google Maps öffnen',
+  'gmaps.decline': 'Nein, danke',
+  'gmaps.failed': 'Die Route konnte nicht in Google Maps geöffnet werden.',
+  'gmaps.noCoords': 'Die Koordinaten der Route wurden nicht gefunden',
+  'gmaps.openedTitle': 'Route in Google Maps geöffnet',
+  'gmaps.drivingOnly': '🚗 Google Maps zeigt die Anfahrt mit dem Auto zu „{name}“:\n\n📍 Start: Ihr Standort\n🅿️ Ziel: Beginn des Weges\n\nAutonavigation zu dem Ort, an dem Ihre Wanderung beginnt.',
+  'gmaps.multimodal': 'Google Maps zeigt eine Route mit 3 Punkten:\n📍 Start: Ihr Standort\n🚗 Parken: Beginn von „{name}“\n🎯 Ziel: Ende des Weges\n\nGoogle schlägt für jeden Abschnitt das beste Verkehrsmittel vor.',
+  'gmaps.walkingOnly': 'Die Wanderroute „{name}“ wurde in Google Maps geöffnet.',
+
+  // Geolokalizacja
+  'geo.unsupported': 'Dieser Browser unterstützt keine Standortbestimmung',
+  'geo.error': 'Fehler bei der Standortbestimmung: {reason}',
+  'geo.denied': 'Der Zugriff auf den Standort wurde verweigert.',
+  'geo.unavailable': 'Standortinformationen sind nicht verfügbar.',
+  'geo.timeout': 'Zeitüberschreitung bei der Standortabfrage.',
+  'geo.unknown': 'Ein unbekannter Fehler ist aufgetreten.',
+
+  // Panel szczegółów szlaku
+  'details.title': 'Details zum Weg',
+  'details.from': 'Start',
+  'details.to': 'Ende',
+  'details.via': 'Über',
+  'details.roundtrip': 'Rundweg',
+  'details.distance': 'Länge (laut OSM)',
+  'details.operator': 'Betreuer',
+  'details.network': 'Netz',
+  'details.description': 'Beschreibung',
+  'details.note': 'Hinweise',
+  'details.surveyDate': 'Vor Ort geprüft',
+  'details.website': 'Webseite',
+  'details.wikipedia': 'Wikipedia',
+  'details.wikidata': 'Wikidata',
+  'details.osm': 'OpenStreetMap',
+  'details.yes': 'ja',
+  'details.no': 'nein',
+  'details.osmLink': 'Relation in OSM',
+  'details.empty': 'Keine weiteren Informationen in den OSM-Daten.',
+  'network.iwn': 'international',
+  'network.nwn': 'national',
+  'network.rwn': 'regional',
+  'network.lwn': 'lokal'
+};
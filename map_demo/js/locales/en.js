@@ -0,0 +1,267 @@
+/**
+ * Katalog komunikatów: angielski
+ */
+
+// map_demo/js/locales/en.js
+window.i18nMessages = window.i18nMessages || {};
+
+window.i18nMessages.en = {
+  // Strona i panel boczny
+  'app.title': 'Hiking trails around Wałbrzych - interactive map',
+  'app.name': 'Interactive Hiking Map',
+  'sidebar.title': 'Hiking trails – Wałbrzych',
+  'sidebar.regionTitle': 'Hiking trails – {region}',
+  'sidebar.hint': 'click a trail to start the animation and camera follow',
+  'sidebar.label': 'Trail list',
+  'sidebar.toggle': 'Show/hide list',
+  'sidebar.menu': 'Menu',
+  'map.label': 'Trail map',
+  'map.chooseTrail': 'Several trails here – choose one:',
+  'region.label': 'Region',
+  'region.loadFailed': 'Could not load region: {region}',
+  'lang.label': 'Language',
+  'loader.loading': 'Loading data…',
+  'loader.failed': 'Could not load trail data. Please reload the page.',
+  'overlay.loadFailed': 'Could not load {url} — see the console for details.',
+  'theme.toggle': 'Toggle theme (T)',
+
+  // Wyszukiwarka i udostępnianie
+  'search.placeholder': 'Search for a trail or place…',
+  'search.label': 'Search',
+  'search.clear': 'Clear',
+  'search.noResults': 'No trails found',
+  'search.noResultsHint': 'Try different keywords',
+  'share.copy': 'Copy link',
+  'share.copied': 'Copied',
+  'share.failed': 'Error',
+
+  // Lista szlaków
+  'list.label': 'Choose a trail to animate',
+  'list.fallbackName': 'trail {n}',
+  'list.filterLabel': 'Trail filter',
+  'list.all': 'All',
+  'list.saved': 'Saved',
+  'list.save': 'Save trail',
+  'list.unsave': 'Remove from saved',
+  'list.imported': 'Imported',
+  'list.removeImported': 'Remove imported track',
+  'list.new': 'New',
+  'list.updated': 'Updated',
+  'list.updatedGeometry': 'Route changed',
+  'list.updatedTags': 'Trail information changed',
+  'list.compare': 'Compare old and new route',
+
+  // Filtry
+  'facets.toggle': 'Filters',
+  'facets.summary': {
+    one: '{shown} of {n} trail',
+    other: '{shown} of {n} trails'
+  },
+  'facets.distance': 'Distance:',
+  'facets.ascent': 'Elevation gain:',
+  'facets.time': 'Walking time:',
+  'facets.difficulty': 'Difficulty:',
+  'facets.near': 'Near me:',
+  'facets.radius': 'Radius:',
+  'facets.network': 'Network:',
+  'facets.operator': 'Operator:',
+  'range.min': '{label} – from',
+  'range.max': '{label} – to',
+  'range.any': 'any',
+  'facets.color': 'Colour:',
+  'facets.all': 'All',
+  'facets.savedOnly': 'Saved only',
+  'facets.inView': 'In map view',
+  'facets.changes': 'New and updated',
+  'near.gps': 'My location',
+  'near.pin': 'Pick on map',
+  'near.pickHint': 'Click the map to set the reference point (Esc to cancel)',
+  'near.fromYou': '{km} km from you',
+  'near.fromPin': '{km} km from the pin',
+  'sort.label': 'Sort:',
+  'sort.name': 'Name',
+  'sort.length': 'Length',
+  'sort.time': 'Walking time',
+  'sort.ascent': 'Ascent',
+  'sort.proximity': 'Distance from me',
+  'sort.saved': 'Recently saved',
+  'sort.asc': 'Ascending',
+  'sort.desc': 'Descending',
+  'presets.toggle': 'Presets',
+  'presets.empty': 'No saved presets',
+  'presets.namePlaceholder': 'Preset name',
+  'presets.save': 'Save current',
+  'presets.saved': 'Saved preset “{name}”',
+  'presets.nameTaken': 'A preset named “{name}” already exists',
+  'presets.rename': 'Rename',
+  'presets.renameSave': 'Save name',
+  'presets.delete': 'Delete preset',
+  'presets.export': 'Export JSON',
+  'color.blue': 'Blue',
+  'color.red': 'Red',
+  'color.green': 'Green',
+  'color.yellow': 'Yellow',
+
+  // Zmiany w zbiorze
+  'changes.summary': 'Trails updated ({parts})',
+  'changes.added': 'new: {n}',
+  'changes.updated': 'updated: {n}',
+  'changes.removed': 'removed: {n}',
+
+  // Odtwarzanie
+  'player.timeline': 'Animation timeline',
+  'player.pause': 'Pause',
+  'player.resume': 'Resume',
+  'player.replay': 'Replay',
+  'direction.reverse': 'Reverse direction',
+  'direction.reverseTitle': 'Reverse the walking direction',
+  'direction.loopStart': 'Loop start',
+  'direction.loopStartTitle': 'Pick the starting point of the loop on the map',
+  'direction.pickHint': 'Click the loop where you want to start (Esc to cancel)',
+  'player.download': 'Download KML/PNG',
+  'player.downloadTitle': 'Download KML/PNG (Google Maps)',
+  'player.speed': 'Playback speed',
+  'popup.elevation': 'Elevation: {value}',
+  'popup.meters': '{m} m a.s.l.',
+  'popup.time': 'Walking time: {value}',
+  'popup.difficulty': 'Difficulty: {value}',
+  'gap.label': 'gap {distance}',
+  'poi.fallbackName': 'Point',
+
+  // Profil wysokości
+  'profile.title': 'Elevation profile',
+  'profile.ascent': 'Total ascent',
+  'profile.descent': 'Total descent',
+  'profile.range': 'Min–max elevation',
+  'profile.rangeValue': '{min}–{max} m a.s.l.',
+  'profile.loading': 'Loading profile…',
+  'profile.unavailable': 'No elevation data',
+  'profile.csv': 'Download profile as CSV',
+  'profile.seek': 'Elevation profile – click or drag to seek the animation',
+  'profile.file': '{slug}_elevation_profile',
+  'stats.maxEle': 'Highest point',
+  'stats.maxGrade': 'Steepest grade',
+
+  // Czas przejścia
+  'time.osm': 'Walking time (from OSM)',
+  'time.estimate': 'Estimated walking time (DIN 33466: distance and elevation gain)',
+  'time.hm': '{h} h {m} min',
+  'time.h': '{h} h',
+  'time.m': '{m} min',
+
+  // Trudność
+  'difficulty.easy': 'easy',
+  'difficulty.moderate': 'moderate',
+  'difficulty.hard': 'hard',
+  'difficulty.title': 'Difficulty based on length, total ascent, steepest grade and walking time',
+
+  // Okna dialogowe
+  'modal.ok': 'OK',
+  'modal.cancel': 'Cancel',
+  'modal.close': 'Close',
+
+  // Import śladów
+  'import.drop': 'Drop a GPX, KML or GeoJSON file',
+  'import.button': 'Import track (GPX, KML, GeoJSON)',
+  'import.buttonLabel': 'Import track',
+  'import.failed': 'Could not import {file}',
+  'import.doneOne': 'Imported: {name}',
+  'import.doneMany': {
+    one: 'Imported {n} track',
+    other: 'Imported {n} tracks'
+  },
+  'import.noSpace': 'Not enough browser storage for imported tracks',
+  'import.fallbackName': 'Track',
+  'import.badXml': 'The file is not a valid XML document',
+  'import.badJson': 'The file is not valid JSON',
+  'import.unsupported': 'Unsupported file format: {file}',
+  'import.noLines': 'The file {file} contains no route lines',
+
+  // Eksport
+  'export.defaultName': 'Route',
+  'export.moduleMissing': 'Error: the export module did not load correctly.',
+  'export.initFailed': 'Could not initialise the export module',
+  'export.failed': 'Export failed: {message}',
+  'export.formatFailed': '{format} export failed: {message}',
+  'export.noRoute': 'No route selected for export',
+  'export.choiceTitle': 'Export to Google Maps',
+  'export.choiceSubtitle': 'Choose an option for "{name}"',
+  'export.drive': 'Drive there',
+  'export.driveHint': 'To the trailhead',
+  'export.walk': 'Walk the trail',
+  'export.walkHint': 'Whole route',
+  'export.noPoints': 'Could not determine the route points',
+  'export.noCoords': 'No coordinates to export',
+  'export.unsupported': 'Unsupported export format: {format}',
+  'export.kmlFailed': 'Could not export KML: {message}',
+  'export.pngFailed': 'Could not export the PNG image',
+  'export.errorDetails': 'Error details: {message}',
+  'export.unknownError': 'Unknown error',
+  'export.noMap': 'The map is not available',
+  'export.noRouteData': 'No route data (currentItem or currentPath)',
+  'export.noTurf': 'The Turf.js library is not available',
+  'export.pngDoneTitle': 'Download complete',
+  'export.pngDone': 'The PNG image of "{name}" has been downloaded.',
+  'export.fileDrive': 'drive_to_{slug}',
+  'export.fileWalk': '{slug}_walk',
+  'export.fileFallback': 'route',
+  'export.description': 'Route exported from the Interactive Hiking Map',
+
+  // Treść plików KML
+  'kml.userStart': 'Starting point (your location)',
+  'kml.userStartDesc': 'User location',
+  'kml.mainRoute': 'Main hiking route',
+  'kml.driveTitle': 'Getting to "{name}"',
+  'kml.driveDesc': 'Driving route from your location to the trailhead',
+  'kml.driveStart': '🚗 Start - your location',
+  'kml.driveStartDesc': 'Starting point of the drive',
+  'kml.driveTarget': '🅿️ Destination - start of "{name}"',
+  'kml.driveTargetDesc': 'Destination - where the hike begins',
+  'kml.driveLine': 'Driving to "{name}"',
+  'kml.driveLineDesc': 'Use car navigation to get there. This line is only indicative - follow real GPS navigation.',
+
+  // Google Maps
+  'gmaps.askTitle': 'Open in Google Maps?',
+  'gmaps.askMessage': 'The KML file has been downloaded. Do you also want to open this route in Google Maps?',
+  'gmaps.open': 'Open in Google Maps',
+  'gmaps.decline': 'No, thanks',
+  'gmaps.failed': 'Could not open the route in Google Maps.',
+  'gmaps.noCoords': 'Could not find the route coordinates',
+  'gmaps.openedTitle': 'Route opened in Google Maps',
+  'gmaps.drivingOnly': '🚗 Google Maps will show the drive to "{name}":\n\n📍 Start: your location\n🅿️ Destination: the trailhead\n\nCar navigation to the place where you can start hiking.',
+  'gmaps.multimodal': 'Google Maps will show a route with 3 points:\n📍 Start: your location\n🚗 Parking: start of "{name}"\n🎯 Finish: end of the trail\n\nGoogle will suggest the best transport for each leg.',
+  'gmaps.walkingOnly': 'Opened the walking route "{name}" in Google Maps.',
+
+  // Geolokalizacja
+  'geo.unsupported': 'Geolocation is not supported by this browser',
+  'geo.error': 'Geolocation error: {reason}',
+  'geo.denied': 'Location access was denied by the user.',
+  'geo.unavailable': 'Location information is unavailable.',
+  'geo.timeout': 'The location request timed out.',
+  'geo.unknown': 'An unknown error occurred.',
+
+  // Panel szczegółów szlaku
+  'details.title': 'Trail details',
+  'details.from': 'Start',
+  'details.to': 'End',
+  'details.via': 'Via',
+  'details.roundtrip': 'Loop',
+  'details.distance': 'Length (per OSM)',
+  'details.operator': 'Operator',
+  'details.network': 'Network',
+  'details.description': 'Description',
+  'details.note': 'Notes',
+  'details.surveyDate': 'Surveyed',
+  'details.website': 'Website',
+  'details.wikipedia': 'Wikipedia',
+  'details.wikidata': 'Wikidata',
+  'details.osm': 'OpenStreetMap',
+  'details.yes': 'yes',
+  'details.no': 'no',
+  'details.osmLink': 'OSM relation',
+  'details.empty': 'No additional information in the OSM data.',
+  'network.iwn': 'international',
+  'network.nwn': 'national',
+  'network.rwn': 'regional',
+  'network.lwn': 'local'
+};
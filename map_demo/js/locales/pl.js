@@ -0,0 +1,271 @@
+/**
+ * Katalog komunikatów: polski (język bazowy – brakujące klucze innych języków biorą tekst stąd)
+ */
+
+// map_demo/js/locales/pl.js
+window.i18nMessages = window.i18nMessages || {};
+
+window.i18nMessages.pl = {
+  // Strona i panel boczny
+  'app.title': 'Szlaki turystyczne w Wałbrzychu - interaktywna mapa',
+  'app.name': 'Interaktywna Mapa Turystyczna',
+  'sidebar.title': 'Szlaki piesze – Wałbrzych',
+  'sidebar.regionTitle': 'Szlaki piesze – {region}',
+  'sidebar.hint': 'kliknij szlak, by uruchomić animację i śledzenie kamery',
+  'sidebar.label': 'Lista szlaków',
+  'sidebar.toggle': 'Pokaż/ukryj listę',
+  'sidebar.menu': 'Menu',
+  'map.label': 'Mapa szlaków',
+  'map.chooseTrail': 'Kilka szlaków w tym miejscu – wybierz:',
+  'region.label': 'Region',
+  'region.loadFailed': 'Nie udało się wczytać regionu: {region}',
+  'lang.label': 'Język',
+  'loader.loading': 'Wczytywanie danych…',
+  'loader.failed': 'Nie udało się wczytać danych szlaków. Odśwież stronę.',
+  'overlay.loadFailed': 'Nie udało się wczytać {url} — szczegóły w konsoli.',
+  'theme.toggle': 'Przełącz motyw (T)',
+
+  // Wyszukiwarka i udostępnianie
+  'search.placeholder': 'Szukaj trasy lub miejsca…',
+  'search.label': 'Szukaj',
+  'search.clear': 'Wyczyść',
+  'search.noResults': 'Nie znaleziono szlaków',
+  'search.noResultsHint': 'Spróbuj użyć innych słów kluczowych',
+  'share.copy': 'Kopiuj link',
+  'share.copied': 'Skopiowano',
+  'share.failed': 'Błąd',
+
+  // Lista szlaków
+  'list.label': 'Wybierz szlak do animacji',
+  'list.fallbackName': 'szlak {n}',
+  'list.filterLabel': 'Filtr tras',
+  'list.all': 'Wszystkie',
+  'list.saved': 'Zapisane',
+  'list.save': 'Zapisz trasę',
+  'list.unsave': 'Usuń z zapisanych',
+  'list.imported': 'Importowany',
+  'list.removeImported': 'Usuń zaimportowany ślad',
+  'list.new': 'Nowy',
+  'list.updated': 'Zmieniony',
+  'list.updatedGeometry': 'Zmieniony przebieg',
+  'list.updatedTags': 'Zmienione informacje o szlaku',
+  'list.compare': 'Porównaj stary i nowy przebieg',
+
+  // Filtry
+  'facets.toggle': 'Filtry',
+  'facets.summary': {
+    one: '{shown} z {n} szlaku',
+    few: '{shown} z {n} szlaków',
+    many: '{shown} z {n} szlaków',
+    other: '{shown} z {n} szlaku'
+  },
+  'facets.distance': 'Dystans:',
+  'facets.ascent': 'Przewyższenie:',
+  'facets.time': 'Czas przejścia:',
+  'facets.difficulty': 'Trudność:',
+  'facets.near': 'Blisko mnie:',
+  'facets.radius': 'Promień:',
+  'facets.network': 'Sieć:',
+  'facets.operator': 'Opiekun:',
+  'range.min': '{label} – od',
+  'range.max': '{label} – do',
+  'range.any': 'dowolny',
+  'facets.color': 'Kolor:',
+  'facets.all': 'Wszystkie',
+  'facets.savedOnly': 'Tylko zapisane',
+  'facets.inView': 'W widoku mapy',
+  'facets.changes': 'Nowe i zmienione',
+  'near.gps': 'Moja lokalizacja',
+  'near.pin': 'Wskaż na mapie',
+  'near.pickHint': 'Kliknij na mapie punkt odniesienia (Esc – anuluj)',
+  'near.fromYou': '{km} km od Ciebie',
+  'near.fromPin': '{km} km od pinezki',
+  'sort.label': 'Sortuj:',
+  'sort.name': 'Nazwa',
+  'sort.length': 'Długość',
+  'sort.time': 'Czas przejścia',
+  'sort.ascent': 'Przewyższenie',
+  'sort.proximity': 'Odległość ode mnie',
+  'sort.saved': 'Ostatnio zapisane',
+  'sort.asc': 'Rosnąco',
+  'sort.desc': 'Malejąco',
+  'presets.toggle': 'Presety',
+  'presets.empty': 'Brak zapisanych presetów',
+  'presets.namePlaceholder': 'Nazwa presetu',
+  'presets.save': 'Zapisz bieżące',
+  'presets.saved': 'Zapisano preset „{name}”',
+  'presets.nameTaken': 'Preset „{name}” już istnieje',
+  'presets.rename': 'Zmień nazwę',
+  'presets.renameSave': 'Zapisz nazwę',
+  'presets.delete': 'Usuń preset',
+  'presets.export': 'Eksportuj JSON',
+  'color.blue': 'Niebieski',
+  'color.red': 'Czerwony',
+  'color.green': 'Zielony',
+  'color.yellow': 'Żółty',
+
+  // Zmiany w zbiorze
+  'changes.summary': 'Zaktualizowano szlaki ({parts})',
+  'changes.added': 'nowe: {n}',
+  'changes.updated': 'zmienione: {n}',
+  'changes.removed': 'usunięte: {n}',
+
+  // Odtwarzanie
+  'player.timeline': 'Oś czasu animacji',
+  'player.pause': 'Pauza',
+  'player.resume': 'Wznów',
+  'player.replay': 'Odtwórz ponownie',
+  'direction.reverse': 'Odwróć kierunek',
+  'direction.reverseTitle': 'Odwróć kierunek przejścia',
+  'direction.loopStart': 'Początek pętli',
+  'direction.loopStartTitle': 'Wybierz na mapie początek pętli',
+  'direction.pickHint': 'Kliknij na pętli miejsce startu (Esc – anuluj)',
+  'player.download': 'Pobierz KML/PNG',
+  'player.downloadTitle': 'Pobierz KML/PNG (Google Maps)',
+  'player.speed': 'Prędkość odtwarzania',
+  'popup.elevation': 'Wysokość: {value}',
+  'popup.meters': '{m} m n.p.m.',
+  'popup.time': 'Czas przejścia: {value}',
+  'popup.difficulty': 'Trudność: {value}',
+  'gap.label': 'przerwa {distance}',
+  'poi.fallbackName': 'Punkt',
+
+  // Profil wysokości
+  'profile.title': 'Profil wysokości',
+  'profile.ascent': 'Suma podejść',
+  'profile.descent': 'Suma zejść',
+  'profile.range': 'Wysokość min–max',
+  'profile.rangeValue': '{min}–{max} m n.p.m.',
+  'profile.loading': 'Wczytywanie profilu…',
+  'profile.unavailable': 'Brak danych o wysokości',
+  'profile.csv': 'Pobierz profil jako CSV',
+  'profile.seek': 'Profil wysokości – kliknij lub przeciągnij, aby przewinąć animację',
+  'profile.file': '{slug}_profil_wysokosci',
+  'stats.maxEle': 'Najwyższy punkt',
+  'stats.maxGrade': 'Największe nachylenie',
+
+  // Czas przejścia
+  'time.osm': 'Czas przejścia (wg OSM)',
+  'time.estimate': 'Szacowany czas przejścia (DIN 33466: długość i przewyższenie)',
+  'time.hm': '{h} h {m} min',
+  'time.h': '{h} h',
+  'time.m': '{m} min',
+
+  // Trudność
+  'difficulty.easy': 'łatwa',
+  'difficulty.moderate': 'średnia',
+  'difficulty.hard': 'trudna',
+  'difficulty.title': 'Klasa trudności wg długości, sumy podejść, największego nachylenia i czasu przejścia',
+
+  // Okna dialogowe
+  'modal.ok': 'OK',
+  'modal.cancel': 'Anuluj',
+  'modal.close': 'Zamknij',
+
+  // Import śladów
+  'import.drop': 'Upuść plik GPX, KML lub GeoJSON',
+  'import.button': 'Importuj ślad (GPX, KML, GeoJSON)',
+  'import.buttonLabel': 'Importuj ślad',
+  'import.failed': 'Nie udało się zaimportować {file}',
+  'import.doneOne': 'Zaimportowano: {name}',
+  'import.doneMany': {
+    one: 'Zaimportowano {n} ślad',
+    few: 'Zaimportowano {n} ślady',
+    many: 'Zaimportowano {n} śladów',
+    other: 'Zaimportowano {n} śladu'
+  },
+  'import.noSpace': 'Brak miejsca w pamięci przeglądarki na zaimportowane ślady',
+  'import.fallbackName': 'Ślad',
+  'import.badXml': 'Plik nie jest poprawnym dokumentem XML',
+  'import.badJson': 'Plik nie jest poprawnym JSON',
+  'import.unsupported': 'Nieobsługiwany format pliku: {file}',
+  'import.noLines': 'Plik {file} nie zawiera żadnej linii trasy',
+
+  // Eksport
+  'export.defaultName': 'Trasa',
+  'export.moduleMissing': 'Błąd: moduł eksportu nie został załadowany prawidłowo.',
+  'export.initFailed': 'Nie udało się zainicjalizować modułu eksportu',
+  'export.failed': 'Błąd podczas eksportu: {message}',
+  'export.formatFailed': 'Błąd podczas eksportu {format}: {message}',
+  'export.noRoute': 'Nie wybrano żadnej trasy do eksportu',
+  'export.choiceTitle': 'Eksport do Google Maps',
+  'export.choiceSubtitle': 'Wybierz opcję dla szlaku "{name}"',
+  'export.drive': 'Dojazd samochodem',
+  'export.driveHint': 'Do startu szlaku',
+  'export.walk': 'Przejdź szlak pieszo',
+  'export.walkHint': 'Cała trasa',
+  'export.noPoints': 'Nie można określić punktów trasy',
+  'export.noCoords': 'Brak współrzędnych do eksportu',
+  'export.unsupported': 'Nieobsługiwany format eksportu: {format}',
+  'export.kmlFailed': 'Nie udało się wyeksportować KML: {message}',
+  'export.pngFailed': 'Nie udało się wyeksportować obrazu PNG',
+  'export.errorDetails': 'Szczegóły błędu: {message}',
+  'export.unknownError': 'Nieznany błąd',
+  'export.noMap': 'Mapa nie jest dostępna',
+  'export.noRouteData': 'Brak danych trasy (currentItem lub currentPath)',
+  'export.noTurf': 'Biblioteka Turf.js nie jest dostępna',
+  'export.pngDoneTitle': 'Pobieranie zakończone',
+  'export.pngDone': 'Obraz PNG trasy "{name}" został pobrany.',
+  'export.fileDrive': 'dojazd_do_{slug}',
+  'export.fileWalk': '{slug}_pieszo',
+  'export.fileFallback': 'trasa',
+  'export.description': 'Trasa wyeksportowana z Interaktywnej Mapy Turystycznej',
+
+  // Treść plików KML
+  'kml.userStart': 'Punkt startowy (Twoja lokalizacja)',
+  'kml.userStartDesc': 'Lokalizacja użytkownika',
+  'kml.mainRoute': 'Główna trasa turystyczna',
+  'kml.driveTitle': 'Dojazd do szlaku "{name}"',
+  'kml.driveDesc': 'Trasa samochodowa z Twojej lokalizacji do początku szlaku',
+  'kml.driveStart': '🚗 Start - Twoja lokalizacja',
+  'kml.driveStartDesc': 'Punkt początkowy dojazdu samochodem',
+  'kml.driveTarget': '🅿️ Cel - Początek szlaku "{name}"',
+  'kml.driveTargetDesc': 'Miejsce docelowe - początek szlaku pieszego',
+  'kml.driveLine': 'Dojazd samochodem do szlaku "{name}"',
+  'kml.driveLineDesc': 'Użyj nawigacji samochodowej do dojazdu. Ta linia jest orientacyjna - skorzystaj z rzeczywistej nawigacji GPS.',
+
+  // Google Maps
+  'gmaps.askTitle': 'Otworzyć w Google Maps?',
+  'gmaps.askMessage': 'Plik KML został pobrany. Czy chcesz również otworzyć tę trasę w Google Maps?',
+  'gmaps.open': 'Otwórz w Google Maps',
+  'gmaps.decline': 'Nie, dziękuję',
+  'gmaps.failed': 'Nie udało się otworzyć trasy w Google Maps.',
+  'gmaps.noCoords': 'Nie udało się znaleźć współrzędnych trasy',
+  'gmaps.openedTitle': 'Trasa otwarta w Google Maps',
+  'gmaps.drivingOnly': '🚗 Google Maps pokaże dojazd samochodem do szlaku "{name}":\n\n📍 Start: Twoja lokalizacja\n🅿️ Cel: Początek szlaku\n\nNawigacja samochodowa do miejsca, gdzie możesz rozpocząć wędrówkę pieszą.',
+  'gmaps.multimodal': 'Google Maps pokaże trasę z 3 punktami:\n📍 Start: Twoja lokalizacja\n🚗 Parking: Początek szlaku "{name}"\n🎯 Meta: Koniec szlaku\n\nGoogle automatycznie zasugeruje najlepszy transport dla każdego odcinka.',
+  'gmaps.walkingOnly': 'Otwarto trasę pieszą "{name}" w Google Maps.',
+
+  // Geolokalizacja
+  'geo.unsupported': 'Geolokalizacja nie jest obsługiwana przez tę przeglądarkę',
+  'geo.error': 'Błąd geolokalizacji: {reason}',
+  'geo.denied': 'Dostęp do lokalizacji został odrzucony przez użytkownika.',
+  'geo.unavailable': 'Informacje o lokalizacji są niedostępne.',
+  'geo.timeout': 'Przekroczono limit czasu żądania lokalizacji.',
+  'geo.unknown': 'Wystąpił nieznany błąd.',
+
+  // Panel szczegółów szlaku
+  'details.title': 'Szczegóły szlaku',
+  'details.from': 'Początek',
+  'details.to': 'Koniec',
+  'details.via': 'Przez',
+  'details.roundtrip': 'Pętla',
+  'details.distance': 'Długość (wg OSM)',
+  'details.operator': 'Opiekun',
+  'details.network': 'Sieć',
+  'details.description': 'Opis',
+  'details.note': 'Uwagi',
+  'details.surveyDate': 'Sprawdzono w terenie',
+  'details.website': 'Strona WWW',
+  'details.wikipedia': 'Wikipedia',
+  'details.wikidata': 'Wikidata',
+  'details.osm': 'OpenStreetMap',
+  'details.yes': 'tak',
+  'details.no': 'nie',
+  'details.osmLink': 'relacja w OSM',
+  'details.empty': 'Brak dodatkowych informacji w danych OSM.',
+  'network.iwn': 'międzynarodowa',
+  'network.nwn': 'krajowa',
+  'network.rwn': 'regionalna',
+  'network.lwn': 'lokalna'
+};
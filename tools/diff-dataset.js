@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Różnice między dwiema wersjami zbioru szlaków
+ * Porównuje szlaki po `@id` (relacja OSM): nowe, zmienione (przebieg i/lub tagi) i usunięte.
+ *
+ * Użycie:
+ *   node tools/diff-dataset.js <stary.geojson> <nowy.geojson> [opcje]
+ *
+ * Opcje:
+ *   --json             wynik JSON na stdout (raport tekstowy idzie wtedy na stderr)
+ *   --json-out <plik>  wynik JSON do pliku
+ *   --geojson <plik>   stary i nowy przebieg zmienionych szlaków (properties.version = old|new)
+ *                      – np. do podglądu jako warstwa overlayUrl
+ *
+ * Typowo: porównanie pliku z repozytorium z wynikiem tools/import-osm.js przed podmianą.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSnapshot, diffSnapshots } = require('../map_demo/js/lib/dataset-diff.js');
+
+function readDataset(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error(`${file} nie jest obiektem FeatureCollection`);
+  }
+  return data;
+}
+
+function formatReport(oldFile, newFile, diff) {
+  const lines = [`${oldFile} (${diff.from || 'bez wersji'}) → ${newFile} (${diff.to || 'bez wersji'})`, ''];
+  diff.added.forEach(t => lines.push(`  + ${t.name} [${t.id}]`));
+  diff.updated.forEach(t => {
+    const what = [t.geometry && 'przebieg', t.tags && 'tagi'].filter(Boolean).join(', ');
+    lines.push(`  ~ ${t.name} [${t.id}] – ${what}`);
+  });
+  diff.removed.forEach(t => lines.push(`  - ${t.name} [${t.id}]`));
+  if (diff.added.length || diff.updated.length || diff.removed.length) lines.push('');
+  lines.push(`Nowe: ${diff.added.length}, zmienione: ${diff.updated.length}, usunięte: ${diff.removed.length}`);
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const args = { files: [], json: false, jsonFile: null, geojson: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    // Pliki wyjściowe tylko przez osobne opcje – argumenty pozycyjne to zawsze porównywane zbiory
+    if (a === '--json') args.json = true;
+    else if (a === '--json-out') {
+      args.json = true;
+      args.jsonFile = argv[++i];
+      if (!args.jsonFile || args.jsonFile.startsWith('-')) args.error = '--json-out wymaga nazwy pliku';
+    } else if (a === '--geojson') {
+      args.geojson = argv[++i];
+      if (!args.geojson || args.geojson.startsWith('-')) args.error = '--geojson wymaga nazwy pliku';
+    }
+    else if (a === '-h' || a === '--help') args.help = true;
+    else args.files.push(a);
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.files.length !== 2) {
+    console.log('Użycie: node tools/diff-dataset.js <stary.geojson> <nowy.geojson> [--json | --json-out plik] [--geojson plik]');
+    return args.help ? 0 : 2;
+  }
+
+  const [oldFile, newFile] = args.files;
+  const inputs = args.files.map(f => path.resolve(f));
+  const clobbered = [args.jsonFile, args.geojson].find(f => f && inputs.includes(path.resolve(f)));
+  if (!args.error && clobbered) args.error = `plik wynikowy ${clobbered} nadpisałby porównywany zbiór`;
+  if (args.error) {
+    console.error(`❌ ${args.error}`);
+    return 2;
+  }
+  let oldData, newData;
+  try {
+    oldData = readDataset(oldFile);
+    newData = readDataset(newFile);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+
+  // Pełna geometria (bez upraszczania) – tu nie oszczędzamy miejsca jak w localStorage
+  const oldSnap = createSnapshot(oldData, { simplify: false });
+  const newSnap = createSnapshot(newData, { simplify: false });
+  const diff = diffSnapshots(oldSnap, newSnap);
+
+  const report = formatReport(path.relative(process.cwd(), oldFile), path.relative(process.cwd(), newFile), diff);
+  if (args.json && !args.jsonFile) console.error(report);
+  else console.log(report);
+
+  if (args.json) {
+    // Geometrię zostawiamy dla --geojson, w JSON wystarczą identyfikatory
+    const json = JSON.stringify({
+      ...diff,
+      updated: diff.updated.map(({ previousGeometry, ...t }) => t)
+    }, null, 2);
+    if (args.jsonFile) fs.writeFileSync(args.jsonFile, json + '\n');
+    else console.log(json);
+  }
+
+  if (args.geojson) {
+    const features = diff.updated.filter(t => t.geometry).flatMap(t => [
+      { type: 'Feature', geometry: oldSnap.trails[t.id].geometry, properties: { '@id': t.id, name: t.name, version: 'old' } },
+      { type: 'Feature', geometry: newSnap.trails[t.id].geometry, properties: { '@id': t.id, name: t.name, version: 'new' } }
+    ]);
+    fs.writeFileSync(args.geojson, JSON.stringify({ type: 'FeatureCollection', features }) + '\n');
+    console.error(`💾 Zapisano przebiegi zmienionych szlaków (${features.length / 2}) do ${args.geojson}`);
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Import OSM → trails.geojson
+ * Buduje zbiór szlaków aplikacji z lokalnego wyciągu OSM (XML lub JSON z Overpass)
+ * zawierającego relacje route=hiking wraz z ich drogami i węzłami.
+ *
+ * Użycie:
+ *   node tools/import-osm.js <wyciąg.osm|wyciąg.json> [opcje]
+ *
+ * Opcje:
+ *   -o, --out <plik>     plik wynikowy (domyślnie map_demo/assets/geo/trails.geojson)
+ *   --version <wersja>   metadata.version (domyślnie dzisiejsza data RRRR.MM.DD)
+ *   --route <typy>       wartości tagu route, po przecinku (domyślnie hiking)
+ *   --dry-run            tylko podsumowanie, bez zapisu pliku
+ *
+ * Przykładowe zapytanie Overpass (wynik zapisz jako plik i podaj jako wyciąg):
+ *   [out:json];relation[route=hiking](50.6,16.0,50.95,16.6);(._;>;);out body;
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { featureOsmc } = require('../map_demo/js/lib/trail-utils.js');
+const { validateDataset } = require('../map_demo/js/lib/dataset-loader.js');
+
+const DEFAULT_OUT = path.join(__dirname, '..', 'map_demo', 'assets', 'geo', 'trails.geojson');
+// Role członków relacji, które są przebiegiem szlaku (pomijamy np. alternative, excursion, guidepost)
+const ROUTE_ROLES = ['', 'forward', 'backward', 'main'];
+
+// === PARSOWANIE WYCIĄGU ===
+
+function decodeXmlEntities(str) {
+  return str
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function xmlAttrs(str) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(str))) attrs[m[1]] = decodeXmlEntities(m[3] ?? m[4]);
+  return attrs;
+}
+
+/**
+ * Parsuje OSM XML (format API/JOSM/osmium) – wystarczy płaska lista elementów, więc obywa się bez parsera DOM.
+ * @returns {{nodes: Map, ways: Map, relations: Array}}
+ */
+function parseOsmXml(text) {
+  const nodes = new Map();
+  const ways = new Map();
+  const relations = [];
+  const re = /<(\/?)(node|way|relation|nd|tag|member)\b([^>]*?)(\/?)>/g;
+  let current = null;
+  let m;
+
+  while ((m = re.exec(text))) {
+    const [, closing, tag, rawAttrs, selfClosing] = m;
+    if (closing) { current = null; continue; }
+    const a = xmlAttrs(rawAttrs);
+
+    if (tag === 'node') {
+      const lat = parseFloat(a.lat), lon = parseFloat(a.lon);
+      if (Number.isFinite(lat) && Number.isFinite(lon)) nodes.set(a.id, [lon, lat]);
+      current = selfClosing ? null : { type: 'node' };
+    } else if (tag === 'way') {
+      current = { type: 'way', id: a.id, nodes: [], tags: {} };
+      ways.set(a.id, current);
+      if (selfClosing) current = null;
+    } else if (tag === 'relation') {
+      current = { type: 'relation', id: a.id, members: [], tags: {} };
+      relations.push(current);
+      if (selfClosing) current = null;
+    } else if (!current) {
+      continue;
+    } else if (tag === 'nd' && current.type === 'way') {
+      current.nodes.push(a.ref);
+    } else if (tag === 'member' && current.type === 'relation') {
+      current.members.push({ type: a.type, ref: a.ref, role: a.role || '' });
+    } else if (tag === 'tag' && current.tags) {
+      current.tags[a.k] = a.v;
+    }
+  }
+
+  return { nodes, ways, relations };
+}
+
+/**
+ * Parsuje JSON z Overpass (`out body` z `>` albo `out geom`).
+ * @returns {{nodes: Map, ways: Map, relations: Array}}
+ */
+function parseOsmJson(text) {
+  const data = JSON.parse(text);
+  const nodes = new Map();
+  const ways = new Map();
+  const relations = [];
+
+  (data.elements || []).forEach(el => {
+    const id = String(el.id);
+    if (el.type === 'node') {
+      nodes.set(id, [el.lon, el.lat]);
+    } else if (el.type === 'way') {
+      ways.set(id, {
+        type: 'way', id, tags: el.tags || {},
+        nodes: (el.nodes || []).map(String),
+        geometry: el.geometry ? el.geometry.map(g => [g.lon, g.lat]) : null
+      });
+    } else if (el.type === 'relation') {
+      relations.push({
+        type: 'relation', id, tags: el.tags || {},
+        members: (el.members || []).map(mb => ({
+          type: mb.type,
+          ref: String(mb.ref),
+          role: mb.role || '',
+          geometry: mb.geometry ? mb.geometry.map(g => [g.lon, g.lat]) : null
+        }))
+      });
+    }
+  });
+
+  return { nodes, ways, relations };
+}
+
+function parseExtract(text, filename) {
+  const head = text.trimStart();
+  if (head.startsWith('{') || /\.json$/i.test(filename)) return parseOsmJson(text);
+  if (head.startsWith('<')) return parseOsmXml(text);
+  throw new Error(`Nierozpoznany format wyciągu: ${filename}`);
+}
+
+// === KONIEC PARSOWANIA WYCIĄGU ===
+
+// === SKŁADANIE GEOMETRII ===
+
+function wayCoords(osm, member) {
+  if (member.geometry) return member.geometry;
+  const way = osm.ways.get(member.ref);
+  if (!way) return null;
+  if (way.geometry) return way.geometry;
+  const coords = way.nodes.map(id => osm.nodes.get(id));
+  return coords.every(Boolean) ? coords : null;
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Zwraca drogi relacji w kolejności członków; relacje-dzieci (superroute) są rozwijane w miejscu.
+ * `missing` zlicza drogi, których nie ma w wyciągu.
+ */
+function collectWays(osm, relation, relById, seen = new Set()) {
+  const out = [];
+  let missing = 0;
+  seen.add(relation.id);
+
+  relation.members.forEach(mb => {
+    if (!ROUTE_ROLES.includes(mb.role)) return;
+    if (mb.type === 'way') {
+      const coords = wayCoords(osm, mb);
+      if (coords && coords.length >= 2) out.push(coords);
+      else missing++;
+    } else if (mb.type === 'relation' && relById.has(mb.ref) && !seen.has(mb.ref)) {
+      const child = collectWays(osm, relById.get(mb.ref), relById, seen);
+      out.push(...child.ways);
+      missing += child.missing;
+    }
+  });
+
+  return { ways: out, missing };
+}
+
+/**
+ * Łączy uporządkowane drogi w ciągłe linie, odwracając drogi zapisane „pod prąd”.
+ * Gdy kolejna droga nie styka się z poprzednią, zaczyna się nowa część MultiLineString.
+ * @param {Array<Array<[number,number]>>} ways
+ * @returns {Array<Array<[number,number]>>}
+ */
+function assembleWays(ways) {
+  const parts = [];
+  let cur = null;
+  let curIsSingleWay = false;
+
+  ways.forEach(w => {
+    if (!cur) { cur = w.slice(); curIsSingleWay = true; return; }
+
+    const end = cur[cur.length - 1];
+    if (samePoint(end, w[0])) {
+      cur.push(...w.slice(1));
+    } else if (samePoint(end, w[w.length - 1])) {
+      cur.push(...w.slice(0, -1).reverse());
+    } else if (curIsSingleWay && (samePoint(cur[0], w[0]) || samePoint(cur[0], w[w.length - 1]))) {
+      // Pierwsza droga części była odwrócona – obracamy ją i doklejamy kolejną
+      cur.reverse();
+      cur.push(...(samePoint(cur[cur.length - 1], w[0]) ? w.slice(1) : w.slice(0, -1).reverse()));
+    } else {
+      parts.push(cur);
+      cur = w.slice();
+      curIsSingleWay = true;
+      return;
+    }
+    curIsSingleWay = false;
+  });
+
+  if (cur) parts.push(cur);
+  return parts.filter(p => p.length >= 2);
+}
+
+// === KONIEC SKŁADANIA GEOMETRII ===
+
+/**
+ * Zamienia relacje z wyciągu na obiekty Feature w schemacie trails.geojson.
+ * @returns {{ features: Array, report: Array<string> }}
+ */
+function buildFeatures(osm, { routes = ['hiking'] } = {}) {
+  const relById = new Map(osm.relations.map(r => [r.id, r]));
+  const features = [];
+  const report = [];
+
+  osm.relations
+    .filter(r => r.tags.type === 'route' && routes.includes(r.tags.route))
+    .forEach(rel => {
+      const label = rel.tags.name || `relation/${rel.id}`;
+      const { ways, missing } = collectWays(osm, rel, relById);
+      if (missing) report.push(`${label}: brak ${missing} dróg w wyciągu (relacja niekompletna)`);
+
+      const parts = assembleWays(ways);
+      if (!parts.length) {
+        report.push(`${label}: brak geometrii – pominięto`);
+        return;
+      }
+
+      const properties = { '@id': `relation/${rel.id}`, ...rel.tags, _route: rel.tags.route };
+      properties._osmc = featureOsmc(properties);
+
+      features.push({
+        type: 'Feature',
+        geometry: parts.length === 1
+          ? { type: 'LineString', coordinates: parts[0] }
+          : { type: 'MultiLineString', coordinates: parts },
+        properties
+      });
+    });
+
+  features.sort((a, b) => String(a.properties.name || '').localeCompare(String(b.properties.name || ''), 'pl'));
+  return { features, report };
+}
+
+// Jeden szlak w linii – tak jak w dotychczasowym pliku, żeby diffy danych były czytelne
+function serializeDataset(collection) {
+  const lines = collection.features.map(f => JSON.stringify(f));
+  return '{"type": "FeatureCollection",\n' +
+    `"metadata": ${JSON.stringify(collection.metadata)},\n` +
+    '"features": [\n' + lines.join(',\n') + '\n]}\n';
+}
+
+function todayVersion() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`;
+}
+
+function parseArgs(argv) {
+  const args = { input: null, out: DEFAULT_OUT, version: todayVersion(), routes: ['hiking'], dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '-o' || a === '--out') args.out = argv[++i];
+    else if (a === '--version') args.version = argv[++i];
+    else if (a === '--route') args.routes = String(argv[++i] || '').split(',').map(s => s.trim()).filter(Boolean);
+    else if (a === '--dry-run') args.dryRun = true;
+    else if (a === '-h' || a === '--help') args.help = true;
+    else if (!args.input) args.input = a;
+    else throw new Error(`Nieznany argument: ${a}`);
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.input) {
+    console.log('Użycie: node tools/import-osm.js <wyciąg.osm|wyciąg.json> [-o plik] [--version X] [--route hiking,foot] [--dry-run]');
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const text = fs.readFileSync(args.input, 'utf8');
+  const osm = parseExtract(text, args.input);
+  const { features, report } = buildFeatures(osm, { routes: args.routes });
+  report.forEach(r => console.warn(`⚠️  ${r}`));
+
+  const collection = {
+    type: 'FeatureCollection',
+    metadata: { version: args.version, source: `OpenStreetMap (route=${args.routes.join('|')})`, license: 'ODbL 1.0' },
+    features
+  };
+
+  // Ten sam walidator, którego używa aplikacja – do pliku trafiają tylko szlaki, które się wczytają
+  const { data, issues } = validateDataset(collection);
+  issues.filter(i => i.level === 'error').forEach(i => console.error(`❌ ${i.message}`));
+  if (!data.features.length) {
+    console.error('❌ Wyciąg nie zawiera żadnej relacji szlaku z poprawną geometrią');
+    process.exit(1);
+  }
+
+  const multi = data.features.filter(f => f.geometry.type === 'MultiLineString').length;
+  console.log(`✅ Szlaków: ${data.features.length} (MultiLineString: ${multi}), wersja ${args.version}`);
+
+  if (args.dryRun) return;
+  fs.writeFileSync(args.out, serializeDataset(data));
+  console.log(`💾 Zapisano ${path.relative(process.cwd(), args.out)}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseExtract, assembleWays, buildFeatures, serializeDataset };
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Kontrola jakości zbioru szlaków (trails.geojson)
+ * Raportuje problemy, które w aplikacji są niewidoczne albo maskowane wartościami domyślnymi:
+ * brakujące/nieznane `osmc:symbol`, zdublowane nazwy, zdegenerowane geometrie,
+ * przerwy w MultiLineString, niezgodność tagu `distance` z długością oraz brak zdjęcia.
+ *
+ * Użycie:
+ *   node tools/lint-dataset.js [plik.geojson] [opcje]
+ *
+ * Opcje:
+ *   --json            raport JSON na stdout (raport tekstowy idzie wtedy na stderr)
+ *   --json-out <plik> raport JSON do pliku (nigdy nie nadpisuje sprawdzanego zbioru)
+ *   --strict          ostrzeżenia też kończą się kodem wyjścia 1
+ *   --tolerance <n>   dopuszczalna względna różnica distance/długość (domyślnie 0.15)
+ *
+ * Kod wyjścia: 0 – brak błędów, 1 – są błędy (lub ostrzeżenia przy --strict), 2 – nie udało się wczytać pliku albo błędne opcje.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateDataset } = require('../map_demo/js/lib/dataset-loader.js');
+const { featureOsmc, lengthOfLineStringKm, stitchGeometry } = require('../map_demo/js/lib/trail-utils.js');
+const { getTrailImage } = require('../map_demo/js/lib/trail-images.js');
+
+const MAP_DEMO_DIR = path.join(__dirname, '..', 'map_demo');
+const DEFAULT_DATASET = path.join(MAP_DEMO_DIR, 'assets', 'geo', 'trails.geojson');
+
+// Kolory dopuszczone przez schemat osmc:symbol (waycolor)
+const OSMC_WAYCOLORS = ['black', 'blue', 'brown', 'gray', 'green', 'orange', 'purple', 'red', 'white', 'yellow'];
+// Długość (km), poniżej której linię uznajemy za zdegenerowaną
+const MIN_LENGTH_KM = 0.01;
+
+// === POMOCNICZE ===
+
+/**
+ * Parsuje tag OSM `distance` ("7 km", "392.1", "7,5 km", "800 m", "3 mi"); jednostka domyślna to km.
+ * @returns {number|null} km
+ */
+function parseDistanceKm(value) {
+  const m = String(value || '').trim().replace(',', '.').match(/^(\d+(?:\.\d+)?)\s*(km|m|mi)?$/i);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  switch ((m[2] || 'km').toLowerCase()) {
+    case 'm': return n / 1000;
+    case 'mi': return n * 1.609344;
+    default: return n;
+  }
+}
+
+function orientation(a, b, c) {
+  const v = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return v > 0 ? 1 : v < 0 ? -1 : 0;
+}
+
+// Właściwe przecięcie odcinków (wspólne końce i styczności nie liczą się jako przecięcie)
+function segmentsCross(p1, p2, p3, p4) {
+  const o1 = orientation(p1, p2, p3), o2 = orientation(p1, p2, p4);
+  const o3 = orientation(p3, p4, p1), o4 = orientation(p3, p4, p2);
+  return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+/**
+ * Zwraca punkty, w których linia przecina samą siebie.
+ * Odcinki są wstępnie odsiewane po bbox (posortowane po minimalnej długości geograficznej);
+ * proste „mostki” przez przerwy (`gaps` ze stitchGeometry) nie są brane pod uwagę.
+ * @param {Array<[number,number]>} coords
+ * @param {Array<{from:[number,number], to:[number,number]}>} [gaps]
+ * @returns {Array<[number,number]>}
+ */
+function selfIntersections(coords, gaps = []) {
+  const bridges = new Set(gaps.map(g => `${g.from}|${g.to}`));
+  const segs = [];
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1], b = coords[i];
+    if (bridges.has(`${a}|${b}`)) continue;
+    segs.push({ i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]), minY: Math.min(a[1], b[1]), maxY: Math.max(a[1], b[1]) });
+  }
+  segs.sort((s, t) => s.minX - t.minX);
+
+  const hits = [];
+  for (let x = 0; x < segs.length; x++) {
+    const s = segs[x];
+    for (let y = x + 1; y < segs.length && segs[y].minX <= s.maxX; y++) {
+      const t = segs[y];
+      if (Math.abs(s.i - t.i) <= 1) continue; // sąsiednie odcinki dzielą punkt
+      if (t.minY > s.maxY || t.maxY < s.minY) continue;
+      if (segmentsCross(s.a, s.b, t.a, t.b)) hits.push(s.b);
+    }
+  }
+  return hits;
+}
+
+function lineParts(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates || [];
+  return [];
+}
+
+function fmtKm(km) {
+  return `${km.toFixed(2)} km`;
+}
+
+// getTrailImage loguje każdy krok dopasowania – w raporcie to tylko szum
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try { return fn(); } finally { console.log = log; }
+}
+
+// === KONIEC POMOCNICZYCH ===
+
+/**
+ * Sprawdza zbiór i zwraca listę problemów.
+ * @param {Object} data - FeatureCollection
+ * @param {{tolerance?: number}} [opts]
+ * @returns {{ trails: number, issues: Array<{index:number, id:string|null, trail:string, level:'error'|'warn', code:string, message:string}> }}
+ */
+function lintDataset(data, { tolerance = 0.15 } = {}) {
+  const issues = [];
+  const features = Array.isArray(data?.features) ? data.features : [];
+  const add = (index, level, code, message) => {
+    const p = features[index]?.properties || {};
+    issues.push({ index, id: p['@id'] || null, trail: p.name || `#${index}`, level, code, message });
+  };
+
+  // Schemat i geometria – ten sam walidator, którego używa aplikacja (błędy = szlak odrzucony)
+  validateDataset(data).issues
+    .filter(i => i.level === 'error')
+    .forEach(i => add(i.index, 'error', 'geometry', i.message.replace(/^.*?: /, '')));
+
+  const byName = new Map();
+  const byId = new Map();
+
+  features.forEach((f, index) => {
+    const p = f?.properties || {};
+
+    // Nazwa i identyfikator
+    if (!p.name) add(index, 'warn', 'name-missing', 'brak nazwy (lista pokaże „szlak N”)');
+    else byName.set(p.name, [...(byName.get(p.name) || []), index]);
+    if (p['@id']) byId.set(p['@id'], [...(byId.get(p['@id']) || []), index]);
+
+    // Symbol szlaku
+    const symbol = p['osmc:symbol'];
+    if (!symbol) {
+      add(index, 'warn', 'osmc-missing', `brak osmc:symbol – szlak rysowany jako ${featureOsmc(p)}`);
+    } else {
+      const waycolor = String(symbol).split(':')[0];
+      if (!OSMC_WAYCOLORS.includes(waycolor)) {
+        add(index, 'error', 'osmc-unknown', `nieznany kolor w osmc:symbol "${symbol}"`);
+      } else if (featureOsmc(p) !== waycolor) {
+        add(index, 'warn', 'osmc-fallback', `kolor "${waycolor}" nie ma odpowiednika na mapie – rysowany jako ${featureOsmc(p)}`);
+      }
+    }
+
+    // Geometria
+    const parts = lineParts(f?.geometry);
+    parts.forEach((line, partIdx) => {
+      if (Array.isArray(line) && line.length >= 2 && lengthOfLineStringKm(line) < MIN_LENGTH_KM) {
+        const where = parts.length > 1 ? ` (część ${partIdx + 1})` : '';
+        add(index, 'error', 'zero-length', `linia o zerowej długości${where}`);
+      }
+    });
+
+    const stitched = stitchGeometry(f?.geometry);
+    if (!stitched || stitched.coords.length < 2) return;
+
+    const crossings = selfIntersections(stitched.coords, stitched.gaps);
+    if (crossings.length) {
+      const [lng, lat] = crossings[0];
+      add(index, 'warn', 'self-intersection', `linia przecina samą siebie (${crossings.length}×, np. ${lat.toFixed(5)}, ${lng.toFixed(5)})`);
+    }
+
+    stitched.gaps.forEach(g => {
+      add(index, 'warn', 'gap', `przerwa ${Math.round(g.meters)} m między ${g.from[1].toFixed(5)}, ${g.from[0].toFixed(5)} a ${g.to[1].toFixed(5)}, ${g.to[0].toFixed(5)}`);
+    });
+
+    // Tag distance vs długość geometrii
+    if (p.distance != null) {
+      const tagged = parseDistanceKm(p.distance);
+      if (tagged == null) {
+        add(index, 'warn', 'distance-format', `nieczytelny tag distance "${p.distance}"`);
+      } else if (tagged > 0 && Math.abs(stitched.lengthKm - tagged) / tagged > tolerance) {
+        add(index, 'warn', 'distance-mismatch', `distance=${p.distance}, a długość geometrii to ${fmtKm(stitched.lengthKm)}`);
+      }
+    }
+
+    // Zdjęcie na liście
+    if (p.name) {
+      const image = quietly(() => getTrailImage(p.name));
+      if (!fs.existsSync(path.join(MAP_DEMO_DIR, image))) {
+        add(index, 'warn', 'image-missing', `brak zdjęcia – getTrailImage zwraca nieistniejący plik ${path.basename(image)}`);
+      }
+    }
+  });
+
+  byName.forEach((idxs, name) => {
+    if (idxs.length > 1) idxs.forEach(i => add(i, 'warn', 'duplicate-name', `nazwa "${name}" występuje ${idxs.length}×`));
+  });
+  byId.forEach((idxs, id) => {
+    if (idxs.length > 1) idxs.forEach(i => add(i, 'error', 'duplicate-id', `@id ${id} występuje ${idxs.length}×`));
+  });
+
+  issues.sort((a, b) => a.index - b.index || (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1));
+  return { trails: features.length, issues };
+}
+
+function formatReport(file, version, result) {
+  const lines = [`Zbiór: ${file}${version ? ` (wersja ${version})` : ''}, szlaków: ${result.trails}`, ''];
+  let lastIndex = null;
+  result.issues.forEach(i => {
+    if (i.index !== lastIndex) {
+      lines.push(`${i.trail}${i.id ? ` [${i.id}]` : ''}`);
+      lastIndex = i.index;
+    }
+    lines.push(`  ${i.level === 'error' ? '❌' : '⚠️ '} ${i.code}: ${i.message}`);
+  });
+
+  const errors = result.issues.filter(i => i.level === 'error').length;
+  const warnings = result.issues.length - errors;
+  if (result.issues.length) lines.push('');
+  lines.push(`Błędy: ${errors}, ostrzeżenia: ${warnings}`);
+  return lines.join('\n');
+}
+
+const USAGE = 'Użycie: node tools/lint-dataset.js [plik.geojson] [--json | --json-out plik] [--strict] [--tolerance 0.15]';
+
+function parseArgs(argv) {
+  const args = { input: DEFAULT_DATASET, json: false, jsonFile: null, strict: false, tolerance: 0.15 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    // Plik wyjściowy tylko przez osobną opcję – argument pozycyjny to zawsze sprawdzany zbiór
+    if (a === '--json') args.json = true;
+    else if (a === '--json-out') {
+      args.json = true;
+      args.jsonFile = argv[++i];
+      if (!args.jsonFile || args.jsonFile.startsWith('-')) args.error = '--json-out wymaga nazwy pliku';
+    } else if (a === '--strict') args.strict = true;
+    else if (a === '--tolerance') {
+      const value = argv[++i];
+      args.tolerance = Number(value);
+      // NaN wyłączyłby po cichu sprawdzanie tagu distance
+      if (value == null || value.trim() === '' || !Number.isFinite(args.tolerance) || args.tolerance < 0) {
+        args.error = `--tolerance wymaga liczby ≥ 0 (podano: ${value ?? 'nic'})`;
+      }
+    }
+    else if (a === '-h' || a === '--help') args.help = true;
+    else args.input = a;
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!args.error && args.jsonFile && path.resolve(args.jsonFile) === path.resolve(args.input)) {
+    args.error = `--json-out nie może nadpisać sprawdzanego pliku ${args.input}`;
+  }
+  if (args.error) {
+    console.error(`❌ ${args.error}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+  } catch (e) {
+    console.error(`❌ Nie udało się wczytać ${args.input}: ${e.message}`);
+    return 2;
+  }
+
+  let result;
+  try {
+    result = lintDataset(data, { tolerance: args.tolerance });
+  } catch (e) {
+    // validateDataset rzuca, gdy plik w ogóle nie jest FeatureCollection
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+
+  const file = path.relative(process.cwd(), args.input);
+  const version = data.metadata?.version || null;
+  const errors = result.issues.filter(i => i.level === 'error').length;
+  const warnings = result.issues.length - errors;
+
+  const report = formatReport(file, version, result);
+  // Przy JSON na stdout raport czytelny idzie na stderr, żeby nie psuć potoku
+  if (args.json && !args.jsonFile) console.error(report);
+  else console.log(report);
+
+  if (args.json) {
+    const json = JSON.stringify({ dataset: file, version, summary: { trails: result.trails, errors, warnings }, issues: result.issues }, null, 2);
+    if (args.jsonFile) fs.writeFileSync(args.jsonFile, json + '\n');
+    else console.log(json);
+  }
+
+  return errors || (args.strict && warnings) ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { lintDataset, parseDistanceKm };